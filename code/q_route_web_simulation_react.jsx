@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Slider } from "@/components/ui/slider";
@@ -8,243 +8,20 @@ import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { Info } from "lucide-react";
+import {
+  clamp, dist, parseHistoryCsv, estimateFillModel, simulateHistory, generateInstance,
+  withTravel, makeRouteCaches, routeKm, sitePenalties, solutionCost,
+  DESTROY_OPS, REPAIR_OPS, bestInsertion, commitInsert, skipReport,
+} from "../solver/alns.mjs";
+import { bernsteinBound, parseTravelMatrix } from "../solver/qroute.mjs";
 
 // ==========================================================
-// Q-Route+ Web Simulation (single-file React)
-// - Bernstein quantile gate (correlation-aware)
-// - Shrinkage + low-rank covariance
-// - Selective skipping with penalties
-// - Bandit-guided ALNS (lightweight UCB)
-// - Weekly risk budget knob (Boole bound shown)
-// - Monte Carlo evaluation with correlated sampling
+// Q-Route+ Web Simulation (React UI)
+// The solver (Bernstein gate, low-rank covariance, skipping, bandit ALNS, weekly risk
+// budget and Monte Carlo) is the headless module solver/alns.mjs; the bound, travel matrix
+// reader and objective terms are those of solver/qroute.mjs, shared with index.html.
 // ==========================================================
 
-// -------------- Math / Utils --------------
-function randn() {
-  // Box-Muller
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
-
-// Random low-rank factors (p x r)
-function randomLowRankFactors(p, r, scale) {
-  const L = Array.from({ length: p }, () => Array.from({ length: r }, () => randn() * scale));
-  // normalize columns for stability
-  for (let k = 0; k < r; k++) {
-    let norm = 1e-9;
-    for (let i = 0; i < p; i++) norm += L[i][k] ** 2;
-    norm = Math.sqrt(norm);
-    for (let i = 0; i < p; i++) L[i][k] /= norm;
-  }
-  return L;
-}
-
-// -------------- Instance generator --------------
-function generateInstance({ p, r, surge, meanMin, meanMax, dMin, dMax, twWidth, gridSize }) {
-  // Means and diagonal variances
-  const mu = Array.from({ length: p }, () => meanMin + Math.random() * (meanMax - meanMin));
-  let D = Array.from({ length: p }, () => dMin + Math.random() * (dMax - dMin));
-  const L = randomLowRankFactors(p, r, surge);
-
-  // Shrinkage (diagonal proxy)
-  const tau = D.reduce((a, v) => a + v, 0) / Math.max(1, p);
-  const lambda = 0.3; // shrinkage weight
-  D = D.map(v => (1 - lambda) * v + lambda * tau);
-
-  // Bernstein cap parameter b_i
-  const b = Array.from({ length: p }, (_, i) => 2 * Math.sqrt(D[i]) + 0.2 * mu[i]);
-
-  // Coordinates + time windows + service
-  const coords = [];
-  const e = []; // open
-  const l = []; // close
-  const s = []; // service time
-  for (let i = 0; i < p; i++) {
-    coords.push({ x: Math.random() * gridSize, y: Math.random() * gridSize });
-    const open = 8 * 60 + Math.floor(Math.random() * 120); // 08:00-10:00
-    const close = open + twWidth + Math.floor(Math.random() * 90);
-    e.push(open); l.push(close); s.push(5 + Math.floor(Math.random() * 10));
-  }
-  const depot = { x: gridSize / 2, y: gridSize / 2 };
-  return { mu, D, b, L, e, l, s, coords, depot, p, r };
-}
-
-function dist(a, b) {
-  const dx = a.x - b.x, dy = a.y - b.y;
-  return Math.sqrt(dx * dx + dy * dy);
-}
-
-function travelMinutes(a, b, speedKmph = 30) {
-  const km = (dist(a, b) / 1000.0) * 50; // grid scale
-  return (km / speedKmph) * 60;
-}
-
-// -------------- Quantile Route Oracle --------------
-function bernsteinQuantile(muR, sigma2R, bR, eps) {
-  const ln = Math.log(1 / clamp(eps, 1e-6, 0.5));
-  return muR + Math.sqrt(2 * sigma2R * ln) + (bR / 3) * ln;
-}
-
-function makeRouteCaches(p, r) {
-  return {
-    u: new Array(p).fill(false), // used flags
-    g: new Array(r).fill(0),     // L^T * indicator
-    sumD: 0,
-    mu: 0,
-    bMax: 0,
-    seq: [],
-  };
-}
-
-function findFeasiblePosition(inst, seq, j, { depot, speed }) {
-  for (let pos = 0; pos <= seq.length; pos++) {
-    const test = seq.slice();
-    test.splice(pos, 0, j);
-    if (forwardFeasible(inst, test, depot, speed)) return pos;
-  }
-  return -1;
-}
-
-function forwardFeasible(inst, seq, depot, speed) {
-  const { e, l, s, coords } = inst;
-  let time = 8 * 60; // start 08:00
-  let last = depot;
-  for (let idx of seq) {
-    time += travelMinutes(last, coords[idx], speed);
-    time = Math.max(time, e[idx]);
-    if (time > l[idx]) return false;
-    time += s[idx];
-    last = coords[idx];
-  }
-  return true; // return-to-depot omitted for simplicity
-}
-
-function tryInsert({ inst, caches, j, C, eps, timeParams }) {
-  const { mu, D, b, L } = inst;
-  // Update order-independent stats
-  const muPrime = caches.mu + mu[j];
-  const gPrime = caches.g.slice();
-  for (let k = 0; k < L[0].length; k++) gPrime[k] += L[j][k];
-  const sumDPrime = caches.sumD + D[j];
-  const sigma2Prime = gPrime.reduce((acc, x) => acc + x * x, 0) + sumDPrime;
-  const bPrime = Math.max(caches.bMax, b[j]);
-
-  // Capacity gate
-  const q = bernsteinQuantile(muPrime, sigma2Prime, bPrime, eps);
-  if (q > C) return { ok: false, reason: `Gate FAIL: q=${q.toFixed(2)} > C=${C}` };
-
-  // Time window feasibility: try best position
-  const pos = findFeasiblePosition(inst, caches.seq, j, timeParams);
-  if (pos < 0) return { ok: false, reason: `Time-window FAIL` };
-
-  // Commit
-  caches.mu = muPrime; caches.g = gPrime; caches.sumD = sumDPrime; caches.bMax = bPrime; caches.u[j] = true;
-  const newSeq = caches.seq.slice(); newSeq.splice(pos, 0, j); caches.seq = newSeq;
-  return { ok: true, reason: `PASS` };
-}
-
-// -------------- Bandit ALNS --------------
-const OPERATORS = ["randomRemove", "swapTwo", "relocateOne"];
-
-function pickOperator(stats, t, c = 1.2) {
-  let best = 0, bestVal = -Infinity;
-  for (let k = 0; k < OPERATORS.length; k++) {
-    const n = stats.count[k] || 0; const m = stats.mean[k] || 0;
-    const ucb = m + c * Math.sqrt(Math.log(Math.max(2, t)) / Math.max(1, n));
-    if (ucb > bestVal) { bestVal = ucb; best = k; }
-  }
-  return best;
-}
-
-function updateBandit(stats, k, reward) {
-  const n = (stats.count[k] || 0) + 1;
-  const m = stats.mean[k] || 0;
-  stats.mean[k] = m + (reward - m) / n;
-  stats.count[k] = n;
-}
-
-function rebuildCaches(inst, seq) {
-  const caches = makeRouteCaches(inst.p, inst.r);
-  for (let j of seq) {
-    caches.mu += inst.mu[j];
-    caches.sumD += inst.D[j];
-    for (let k = 0; k < inst.r; k++) caches.g[k] += inst.L[j][k];
-    caches.bMax = Math.max(caches.bMax, inst.b[j]);
-    caches.u[j] = true;
-  }
-  caches.seq = seq.slice();
-  return caches;
-}
-
-function applyOperator(opk, state) {
-  const { inst, routes, C, eps, timeParams } = state;
-  const r = 0; // single route demo
-  const caches = routes[r];
-  if (!caches || caches.seq.length === 0) return { delta: 0, changed: false };
-
-  if (OPERATORS[opk] === "randomRemove") {
-    const pos = Math.floor(Math.random() * caches.seq.length);
-    const j = caches.seq[pos];
-    const remaining = caches.seq.filter((_, i) => i !== pos);
-    const rebuilt = rebuildCaches(inst, remaining);
-    const res = tryInsert({ inst, caches: rebuilt, j, C, eps, timeParams });
-    if (res.ok) { routes[r] = rebuilt; return { delta: -1, changed: true }; }
-  }
-
-  if (OPERATORS[opk] === "swapTwo" && caches.seq.length >= 2) {
-    const i = Math.floor(Math.random() * caches.seq.length);
-    let j = Math.floor(Math.random() * caches.seq.length);
-    if (j === i) j = (j + 1) % caches.seq.length;
-    const perm = caches.seq.slice();
-    [perm[i], perm[j]] = [perm[j], perm[i]];
-    if (forwardFeasible(inst, perm, state.depot, timeParams.speed)) {
-      routes[r].seq = perm; return { delta: -0.5, changed: true };
-    }
-  }
-
-  if (OPERATORS[opk] === "relocateOne" && caches.seq.length >= 2) {
-    const i = Math.floor(Math.random() * caches.seq.length);
-    let j = Math.floor(Math.random() * (caches.seq.length + 1));
-    if (j === i) j = (j + 1) % (caches.seq.length + 1);
-    const perm = caches.seq.slice();
-    const v = perm.splice(i, 1)[0];
-    perm.splice(j, 0, v);
-    if (forwardFeasible(inst, perm, state.depot, timeParams.speed)) {
-      routes[r].seq = perm; return { delta: -0.5, changed: true };
-    }
-  }
-
-  return { delta: 0, changed: false };
-}
-
-// -------------- Monte Carlo --------------
-function sampleCorrelated(inst) {
-  const { mu, L, D, p } = inst;
-  const zr = new Array(L[0].length).fill(0).map(() => randn());
-  const X = new Array(p);
-  for (let i = 0; i < p; i++) {
-    let val = mu[i];
-    for (let k = 0; k < L[0].length; k++) val += L[i][k] * zr[k];
-    val += Math.sqrt(Math.max(D[i], 1e-6)) * randn();
-    X[i] = Math.max(0, val);
-  }
-  return X;
-}
-
-function mcOverflowProb(inst, routeSeq, C, M = 300) {
-  let count = 0;
-  for (let m = 0; m < M; m++) {
-    const X = sampleCorrelated(inst);
-    let load = 0; for (let j of routeSeq) load += X[j];
-    if (load > C) count++;
-  }
-  return count / M;
-}
-
 // -------------- Main Component --------------
 export default function App() {
   const [p, setP] = useState(120);
@@ -254,100 +31,213 @@ export default function App() {
   const [eps, setEps] = useState(0.05);
   const [budget, setBudget] = useState(0.22);
   const [skipPenalty, setSkipPenalty] = useState(35);
+  const [riskScaled, setRiskScaled] = useState(false); // grow pᵢ by P(bin overflows tomorrow), up to 2×
   const [twWidth, setTwWidth] = useState(180);
   const [speed, setSpeed] = useState(35);
+  const [seed, setSeed] = useState(42);
+  const [fillModel, setFillModel] = useState(null); // estimated from history; null = synthetic
+  const [trucks, setTrucks] = useState(3);
+  const [overflowCost, setOverflowCost] = useState(40); // km-equivalent cost of one expected overflow
+  const [alns, setAlns] = useState(null); // last ALNS run: operator stats and costs
+  const [week, setWeek] = useState(null); // last weekly plan with ε allocation
+  const [road, setRoad] = useState(null); // loaded road matrix (parseTravelMatrix); null = straight lines
 
   const [instance, setInstance] = useState(null);
   const [routes, setRoutes] = useState([]);
   const [logs, setLogs] = useState([]);
-  const [mc, setMc] = useState({ prob: null, weekly: null, M: 300, days: 5 });
+  const [mc, setMc] = useState({ prob: null, weekly: null, M: 300, days: 5, ci: 0.02 }); // ci: stop once P(any) is known to ± ci/2
+  const [alnsSecs, setAlnsSecs] = useState(30); // time budget of "Optimize"
+  const [job, setJob] = useState(null); // worker job in flight: { id, task, points } with the progress so far
+  const workerRef = useRef(null);
 
   const depot = useMemo(() => ({ x: 500, y: 500 }), []);
-  const timeParams = { depot, speed };
+  const costCfg = { C: capacity, eps, depot, skipPenalty, overflowCost, riskScaled };
+  const palette = ["#0ea5e9", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#14b8a6", "#e11d48", "#64748b"];
+
+  function emptyFleet(inst) {
+    return Array.from({ length: Math.max(1, trucks) }, () => makeRouteCaches(inst.p, inst.r));
+  }
 
   function log(msg) {
     setLogs((L) => [{ t: new Date().toLocaleTimeString(), msg }, ...L].slice(0, 400));
   }
 
-  function onGenerate() {
-    const inst = generateInstance({ p, r, surge, meanMin: 6, meanMax: 22, dMin: 1.2, dMax: 6.5, twWidth, gridSize: 1000 });
+  function onGenerate(model = fillModel) {
+    const inst = withTravel(generateInstance({ p, r, surge, meanMin: 6, meanMax: 22, dMin: 1.2, dMax: 6.5, twWidth, gridSize: 1000, seed, model }), road, speed);
     setInstance(inst);
-    setRoutes([makeRouteCaches(p, r)]);
+    setRoutes(emptyFleet(inst));
+    setAlns(null); setWeek(null);
     setLogs([]);
     setMc(v => ({ ...v, prob: null, weekly: null }));
-    log(`Generated instance: p=${p}, r=${r}, surge=${surge.toFixed(2)}`);
+    if (model) log(`Generated instance from estimated model: p=${inst.p}, r=${inst.r}, λ=${model.lambda.toFixed(3)}, seed=${seed}`);
+    else log(`Generated instance: p=${p}, r=${r}, surge=${surge.toFixed(2)}, seed=${seed}`);
   }
 
-  function tryServeOrSkip(caches, j) {
-    const tryRes = tryInsert({ inst: instance, caches, j, C: capacity, eps, timeParams });
-    if (tryRes.ok) { log(`Insert site ${j} → PASS`); return true; }
-    const lastIdx = caches.seq[caches.seq.length - 1];
-    const lastPt = typeof lastIdx === "number" ? instance.coords[lastIdx] : depot;
-    const marginalKm = dist(lastPt, instance.coords[j]) / 1000 * 50;
-    if (skipPenalty < 0.5 * marginalKm || /Gate FAIL/.test(tryRes.reason)) {
-      log(`Skip site ${j} (reason: ${tryRes.reason})`);
-      return false;
-    }
-    // Retry by position-only relaxation
-    const pos = findFeasiblePosition(instance, caches.seq, j, timeParams);
-    if (pos >= 0) {
-      const tmp = rebuildCaches(instance, caches.seq);
-      const res = tryInsert({ inst: instance, caches: tmp, j, C: capacity, eps, timeParams });
-      if (res.ok) { Object.assign(caches, tmp); log(`Insert site ${j} at pos ${pos} → PASS on retry`); return true; }
+  function applyHistory(X, source) {
+    const model = estimateFillModel(X, { r });
+    setFillModel({ ...model, source });
+    setP(model.p); setR(model.r);
+    onGenerate(model);
+    log(`Estimated μ, Σ from ${source}: ${model.days} days × ${model.p} sites, shrinkage λ=${model.lambda.toFixed(3)}, ` +
+      `rank-${model.r} factors explain ${(model.explained * 100).toFixed(1)}%` + (model.imputed ? `, ${model.imputed} missing cells imputed` : ""));
+  }
+
+  function onLoadHistory(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      const { X, errors } = parseHistoryCsv(text);
+      if (errors.length) {
+        errors.slice(0, 20).forEach(err => log(`History ${file.name}:${err.line} — ${err.message}`));
+        log(`History import failed: ${errors.length} problem(s); model unchanged`);
+        return;
+      }
+      applyHistory(X, file.name);
+    });
+  }
+
+  function onLoadRoad(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      const { matrix, errors } = parseTravelMatrix(file.name, text);
+      if (errors.length) {
+        errors.slice(0, 20).forEach(err => log(`Road matrix ${err.file}:${err.row} — ${err.message}`));
+        log(`Road matrix import failed: ${errors.length} problem(s); travel unchanged`);
+        return;
+      }
+      setRoad({ ...matrix, source: file.name });
+      log(`Road matrix ${file.name}: ${(matrix.km ?? matrix.minutes).length} points` + (matrix.profile ? `, ${matrix.profile.length} speed windows` : "") + "; rebuild to re-route");
+    });
+  }
+
+  // the instance follows the loaded matrix and the speed
+  useEffect(() => { setInstance(i => i && withTravel(i, road, speed)); }, [road, speed]);
+
+  function onSimulateHistory(days = 90) {
+    if (!instance) return;
+    applyHistory(simulateHistory(instance, days), `${days} simulated days`);
+  }
+
+  // Sites not on any route
+  const unrouted = useMemo(() => {
+    if (!instance) return [];
+    const routed = new Set(routes.flatMap(c => c.seq));
+    return Array.from({ length: instance.p }, (_, i) => i).filter(i => !routed.has(i));
+  }, [instance, routes]);
+
+  // Cheapest gate- and TW-feasible slot over all routes, served only if it costs less than pⱼ
+  function serveOrSkip(sol, j, pen) {
+    const opts = sol.fleet.map((c, ri) => bestInsertion(instance, c, ri, j, costCfg));
+    const best = opts.filter(o => !o.fail).sort((x, y) => x.delta - y.delta)[0];
+    if (best && best.delta < pen[j]) {
+      commitInsert(sol, j, best);
+      log(`Insert site ${j} → v${best.ri} PASS (Δ=${best.delta.toFixed(2)} < p=${pen[j].toFixed(2)})`);
+      return true;
     }
-    log(`Skip site ${j} after retry (reason: ${tryRes.reason})`);
+    const reason = best ? `cheaper to skip: Δ=${best.delta.toFixed(2)} ≥ p=${pen[j].toFixed(2)}`
+      : opts.some(o => o.fail === "tw") ? "Time-window FAIL" : `Gate FAIL on every route (C=${capacity})`;
+    sol.unrouted.push(j);
+    log(`Skip site ${j} (reason: ${reason})`);
     return false;
   }
 
   function greedyBuild() {
     if (!instance) return;
-    const caches = makeRouteCaches(instance.p, instance.r);
+    const sol = { fleet: emptyFleet(instance), unrouted: [] };
+    const pen = sitePenalties(instance, costCfg);
     const idx = Array.from({ length: instance.p }, (_, i) => i);
     idx.sort((a, b) => (instance.mu[b] - instance.mu[a]) + 0.001 * (dist(instance.coords[b], depot) - dist(instance.coords[a], depot)));
     let served = 0;
-    for (let j of idx) if (tryServeOrSkip(caches, j)) served++;
-    setRoutes([caches]);
-    log(`Initial build complete: served=${served}, routeLen=${caches.seq.length}`);
+    for (let j of idx) if (serveOrSkip(sol, j, pen)) served++;
+    const fleet = sol.fleet;
+    setRoutes(fleet);
+    setAlns(null);
+    log(`Initial build complete: served=${served}, routes=${fleet.map(c => c.seq.length).join("/")}`);
+  }
+
+  // ALNS, Monte Carlo and the weekly plan run in solver/worker.mjs, streaming progress; the instance
+  // goes without its travel provider (functions do not cross postMessage) and the worker rebuilds
+  // it from `road` and `speed`
+  function runJob(task, args, onDone) {
+    if (!workerRef.current) workerRef.current = new Worker(new URL("../solver/worker.mjs", import.meta.url), { type: "module" });
+    const id = Date.now(), points = [];
+    setJob({ id, task, points });
+    workerRef.current.onmessage = ({ data }) => {
+      if (data.id !== id) return;
+      if (data.type === "progress") { points.push(data.progress); setJob({ id, task, points: points.slice() }); return; }
+      setJob(null);
+      if (data.type === "error") log(`${task} failed: ${data.error}`);
+      else onDone(data.result, points);
+    };
+    workerRef.current.postMessage({ id, task, inst: { ...instance, travel: null }, road, speed, ...args });
   }
 
-  function runALNS(iter = 200) {
+  // a search cannot be interrupted inside the worker, so the worker goes and the next job starts a new one
+  function cancelJob() {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    if (job) log(`${JOB_NAMES[job.task]} cancelled; routes unchanged`);
+    setJob(null);
+  }
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  function runALNS(iter = 200, budgetMs = null) {
     if (!instance || routes.length === 0) return;
-    const state = { inst: instance, routes: [...routes], C: capacity, eps, timeParams, depot };
-    const stats = { mean: Array(OPERATORS.length).fill(0), count: Array(OPERATORS.length).fill(0) };
-    for (let t = 1; t <= iter; t++) {
-      const k = pickOperator(stats, t);
-      const { delta, changed } = applyOperator(k, state);
-      if (changed) updateBandit(stats, k, -delta);
-    }
-    setRoutes(state.routes);
-    log(`ALNS complete: iters=${iter}`);
+    runJob("alns", { start: { fleet: routes, unrouted }, cfg: costCfg, iters: iter, budgetMs }, (res, trace) => {
+      setRoutes(res.best.fleet);
+      setAlns({ ...res, trace });
+      log(`ALNS complete: iters=${res.iters}${budgetMs ? ` in ${budgetMs / 1000} s` : ""}, accepted=${res.accepted}, cost ${res.initial.total.toFixed(1)} → ${res.cost.total.toFixed(1)}, seed=${instance.seed}`);
+    });
   }
 
   function runMonteCarlo() {
     if (!instance || routes.length === 0) return;
-    const perRouteProb = mcOverflowProb(instance, routes[0].seq, capacity, mc.M);
-    const weeklyBound = clamp((mc.days || 5) * perRouteProb, 0, 0.99); // Boole bound
-    setMc(v => ({ ...v, prob: perRouteProb, weekly: weeklyBound }));
-    log(`Monte Carlo: per-route overflow ≈ ${perRouteProb.toFixed(3)}, weekly bound (days=${mc.days}) ≈ ${weeklyBound.toFixed(3)}`);
+    const used = routes.filter(c => c.seq.length);
+    runJob("alnsMonteCarlo", { seqs: used.map(c => c.seq), C: capacity, M: mc.M, ciWidth: mc.ci > 0 ? mc.ci : null }, ({ perRoute, any, M, ci }) => {
+      const perRouteProb = perRoute.length ? perRoute.reduce((a, v) => a + v, 0) / perRoute.length : 0;
+      // Boole bound over every route on every day of the week
+      const weeklyBound = clamp((mc.days || 5) * perRoute.reduce((a, v) => a + v, 0), 0, 0.99);
+      setMc(v => ({ ...v, prob: perRouteProb, weekly: weeklyBound, daily: any, ran: M, anyCi: ci }));
+      log(`Monte Carlo (${M} scenarios): mean per-route overflow ≈ ${perRouteProb.toFixed(3)}, any route ≈ ${any.toFixed(3)} ` +
+        `[95% CI ${ci[0].toFixed(3)}–${ci[1].toFixed(3)}], weekly bound (days=${mc.days}) ≈ ${weeklyBound.toFixed(3)}`);
+    });
   }
 
+  function runWeek() {
+    if (!instance) return;
+    const days = clamp(mc.days || 5, 1, 7);
+    runJob("week", { cfg: costCfg, days, budget, trucks: Math.max(1, trucks), M: mc.M }, res => {
+      setWeek(res);
+      log(`Weekly plan (${days} days): Σε=${res.allocated.toFixed(3)}, MC joint weekly overflow ≈ ${res.mc.joint.toFixed(3)} ` +
+        (res.met ? `≤ ϱ=${budget}` : `> ϱ=${budget} — budget NOT met even at the smallest ε`) +
+        `, distance ${res.km.toFixed(1)} km` + (res.round > 1 ? `, re-planned ${res.round - 1}× (budget scale ${res.scale.toFixed(2)})` : ""));
+    });
+  }
+
+  const skips = useMemo(() => (instance && routes.length ? skipReport(instance, { fleet: routes, unrouted }, costCfg) : []),
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  [instance, routes, unrouted, capacity, eps, skipPenalty, overflowCost, riskScaled]);
+
   // KPIs
   const kpis = useMemo(() => {
     if (!instance || routes.length === 0) return null;
-    const seq = routes[0].seq;
-    let km = 0; let last = depot;
-    for (let j of seq) { km += (dist(last, instance.coords[j]) / 1000) * 50; last = instance.coords[j]; }
-    km += (dist(last, depot) / 1000) * 50;
+    const cost = solutionCost(instance, { fleet: routes, unrouted }, costCfg);
+    const km = cost.km;
     const hours = km / 30; // avg 30 km/h
     const co2 = km * 0.25; // simple proxy kg
-    return { km, hours, co2, mcOv: mc.prob, weekly: mc.weekly };
-  }, [instance, routes, depot, mc.prob, mc.weekly]);
+    return { km, hours, co2, mcOv: mc.prob, weekly: mc.weekly, skipped: unrouted.length, cost: cost.total };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [instance, routes, unrouted, depot, capacity, eps, skipPenalty, overflowCost, riskScaled, mc.prob, mc.weekly]);
 
   // -------------- Self-checks (light tests) --------------
   useEffect(() => {
     // Test: gate monotonicity in eps (larger eps -> larger ln(1/eps) decrease -> smaller q)
-    const q1 = bernsteinQuantile(10, 5, 2, 0.05);
-    const q2 = bernsteinQuantile(10, 5, 2, 0.10);
+    const q1 = bernsteinBound(10, 5, 0.05, 2);
+    const q2 = bernsteinBound(10, 5, 0.10, 2);
     if (!(q2 <= q1)) console.warn("Test failed: quantile monotonicity");
   }, []);
 
@@ -375,22 +265,64 @@ export default function App() {
                   <div><Label>Capacity C</Label><Input type="number" value={capacity} onChange={e=>setCapacity(parseFloat(e.target.value||"0"))} /></div>
                   <div><Label>Risk per-route ε</Label><Input type="number" step="0.005" value={eps} onChange={e=>setEps(parseFloat(e.target.value||"0"))} /></div>
                   <div><Label>Weekly budget ϱ</Label><Input type="number" step="0.01" value={budget} onChange={e=>setBudget(parseFloat(e.target.value||"0"))} /></div>
-                  <div><Label>Skip penalty pᵢ</Label><Input type="number" value={skipPenalty} onChange={e=>setSkipPenalty(parseFloat(e.target.value||"0"))} /></div>
+                  <div>
+                    <Label>Skip penalty p (× wᵢ)</Label><Input type="number" value={skipPenalty} onChange={e=>setSkipPenalty(parseFloat(e.target.value||"0"))} />
+                    <label className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+                      <input type="checkbox" checked={riskScaled} onChange={e=>setRiskScaled(e.target.checked)} /> × (1 + overflow risk of skipping)
+                    </label>
+                  </div>
                   <div><Label>Speed (km/h)</Label><Input type="number" value={speed} onChange={e=>setSpeed(parseFloat(e.target.value||"0"))} /></div>
+                  <div><Label>Seed</Label><Input type="number" value={seed} onChange={e=>setSeed(Math.max(0, parseInt(e.target.value||"0")))} /></div>
+                  <div><Label>Trucks K</Label><Input type="number" value={trucks} onChange={e=>setTrucks(Math.max(1, parseInt(e.target.value||"1")))} /></div>
+                  <div><Label>Overflow cost (km-eq.)</Label><Input type="number" value={overflowCost} onChange={e=>setOverflowCost(parseFloat(e.target.value||"0"))} /></div>
+                </div>
+                <div className="space-y-2 pt-2 border-t">
+                  <Label>Historical fills (days × sites CSV)</Label>
+                  <Input type="file" accept=".csv,text/csv" onChange={onLoadHistory} />
+                  <div className="flex gap-2">
+                    <Button variant="outline" onClick={() => onSimulateHistory(90)} disabled={!instance}>Simulate 90 days</Button>
+                    <Button variant="ghost" onClick={() => setFillModel(null)} disabled={!fillModel}>Use synthetic μ, Σ</Button>
+                  </div>
+                  {fillModel && (
+                    <div className="text-xs text-gray-600">
+                      Estimated from {fillModel.source}: {fillModel.days} days, λ={fillModel.lambda.toFixed(3)}, rank {fillModel.r} explains {(fillModel.explained * 100).toFixed(1)}% of variance.
+                    </div>
+                  )}
+                </div>
+                <div className="space-y-2 pt-2 border-t">
+                  <Label>Road matrix (OSRM table, km/minutes JSON or from,to,km,minutes CSV)</Label>
+                  <Input type="file" accept=".json,.csv,application/json,text/csv" onChange={onLoadRoad} />
+                  <div className="flex items-center gap-2 text-xs text-gray-600">
+                    {road ? <>Travel from {road.source}{road.profile ? ` with ${road.profile.length} speed windows` : ""}.</> : <>Travel: straight lines at {speed} km/h.</>}
+                    <Button variant="ghost" onClick={() => setRoad(null)} disabled={!road}>Use straight lines</Button>
+                  </div>
                 </div>
                 <div className="flex gap-2 pt-2">
-                  <Button onClick={onGenerate}>Generate</Button>
+                  <Button onClick={() => onGenerate()}>Generate</Button>
                   <Button variant="secondary" onClick={greedyBuild} disabled={!instance}>Build</Button>
                 </div>
                 <div className="flex gap-2">
-                  <Button variant="outline" onClick={()=>runALNS(200)} disabled={!instance}>ALNS (200)</Button>
-                  <Button variant="ghost" onClick={runMonteCarlo} disabled={!instance || routes.length===0}>Monte Carlo</Button>
+                  <Button variant="outline" onClick={()=>runALNS(200)} disabled={!instance || !!job}>ALNS (200)</Button>
+                  <Button variant="ghost" onClick={runMonteCarlo} disabled={!instance || routes.length===0 || !!job}>Monte Carlo</Button>
+                  <Button variant="outline" onClick={runWeek} disabled={!instance || !!job}>Plan week (ϱ)</Button>
+                </div>
+                <div className="flex items-end gap-2">
+                  <div><Label>Budget (s)</Label><Input type="number" value={alnsSecs} onChange={e=>setAlnsSecs(Math.max(1, parseInt(e.target.value||"1")))} /></div>
+                  <Button variant="outline" onClick={()=>runALNS(200, alnsSecs * 1000)} disabled={!instance || routes.length===0 || !!job}>Optimize {alnsSecs} s</Button>
                 </div>
+                {job && (
+                  <div className="flex items-center justify-between gap-2 text-xs text-gray-600 bg-gray-50 border rounded-lg p-2">
+                    <span>{JOB_NAMES[job.task]} running… {jobStatus(job)}</span>
+                    <Button variant="ghost" onClick={cancelJob}>Cancel</Button>
+                  </div>
+                )}
                 {kpis && (
                   <div className="text-sm grid grid-cols-3 gap-2 pt-2">
                     <div><span className="font-semibold">Distance</span><div>{kpis.km.toFixed(1)} km</div></div>
                     <div><span className="font-semibold">Driver Hours</span><div>{kpis.hours.toFixed(1)} h</div></div>
                     <div><span className="font-semibold">Overflow (MC)</span><div>{kpis.mcOv==null?"—":kpis.mcOv.toFixed(3)}</div></div>
+                    <div><span className="font-semibold">Skipped</span><div>{kpis.skipped}</div></div>
+                    <div className="col-span-2"><span className="font-semibold">Objective</span><div>{kpis.cost.toFixed(1)} km-eq.</div></div>
                   </div>
                 )}
               </CardContent>
@@ -417,6 +349,9 @@ export default function App() {
                 <TabsTrigger value="map">Map</TabsTrigger>
                 <TabsTrigger value="oracle">Oracle Log</TabsTrigger>
                 <TabsTrigger value="mc">Monte Carlo</TabsTrigger>
+                <TabsTrigger value="alns">ALNS</TabsTrigger>
+                <TabsTrigger value="week">Week</TabsTrigger>
+                <TabsTrigger value="skips">Skips</TabsTrigger>
               </TabsList>
 
               <TabsContent value="routes">
@@ -426,12 +361,19 @@ export default function App() {
                       <div className="text-gray-500">Generate an instance to view routes.</div>
                     ) : (
                       <div className="grid grid-cols-1 gap-3">
-                        <div className="text-sm">Route length: <b>{routes[0]?.seq.length||0}</b></div>
-                        <div className="flex flex-wrap gap-2 max-h-56 overflow-auto">
-                          {routes[0]?.seq.map((j, idx) => (
-                            <Badge key={idx} variant="secondary">{j}</Badge>
-                          ))}
-                        </div>
+                        <div className="text-sm">Routes: <b>{routes.length}</b> · Skipped: <b>{unrouted.length}</b> · Seed: <b>{instance.seed}</b></div>
+                        {routes.map((c, ri) => (
+                          <div key={ri} className="space-y-1">
+                            <div className="text-xs font-semibold" style={{ color: palette[ri % palette.length] }}>
+                              v{ri}: {c.seq.length} stops, {routeKm(instance, c.seq, depot).toFixed(1)} km, μ={c.mu.toFixed(1)}
+                            </div>
+                            <div className="flex flex-wrap gap-2 max-h-40 overflow-auto">
+                              {c.seq.map((j, idx) => (
+                                <Badge key={idx} variant="secondary">{j}</Badge>
+                              ))}
+                            </div>
+                          </div>
+                        ))}
                       </div>
                     )}
                   </CardContent>
@@ -452,15 +394,16 @@ export default function App() {
                           {instance.coords.map((c, i) => (
                             <circle key={i} cx={c.x} cy={c.y} r={3} fill="#64748b" opacity={0.8} />
                           ))}
-                          {/* route polyline */}
-                          {routes[0]?.seq.length>0 && (
+                          {/* route polylines */}
+                          {routes.map((c, ri) => c.seq.length>0 && (
                             <polyline
+                              key={ri}
                               fill="none"
-                              stroke="#0ea5e9"
+                              stroke={palette[ri % palette.length]}
                               strokeWidth={2}
-                              points={[depot, ...routes[0].seq.map(i=>instance.coords[i]), depot].map(pt=>`${pt.x},${pt.y}`).join(" ")}
+                              points={[depot, ...c.seq.map(i=>instance.coords[i]), depot].map(pt=>`${pt.x},${pt.y}`).join(" ")}
                             />
-                          )}
+                          ))}
                         </svg>
                       </div>
                     )}
@@ -493,7 +436,18 @@ export default function App() {
                         <Label>Days in week</Label>
                         <Input type="number" value={mc.days} onChange={e=>setMc({ ...mc, days: parseInt(e.target.value||"0") })} />
                       </div>
+                      <div>
+                        <Label>Stop at 95% CI width (0 = run all M)</Label>
+                        <Input type="number" step="0.005" value={mc.ci} onChange={e=>setMc({ ...mc, ci: Math.max(0, parseFloat(e.target.value||"0")) })} />
+                      </div>
                     </div>
+                    {job?.task === "alnsMonteCarlo" && (
+                      <TraceChart points={job.points} x={pt => pt.trials} series={[
+                        { label: "P(any route overflows)", color: "#f59e0b", y: pt => pt.estimate },
+                        { label: "95% CI", color: "#fcd34d", dash: "6 4", y: pt => pt.lo },
+                        { label: "", color: "#fcd34d", dash: "6 4", y: pt => pt.hi },
+                      ]} />
+                    )}
                     {kpis?.mcOv!=null ? (
                       <div className="grid grid-cols-4 gap-4 text-sm">
                         <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Overflow (MC)</div><div className="text-2xl font-semibold">{kpis.mcOv.toFixed(3)}</div></div>
@@ -504,6 +458,133 @@ export default function App() {
                     ) : (
                       <div className="text-gray-500">Run Monte Carlo to estimate per-route overflow and a weekly bound; compare to your budget ϱ.</div>
                     )}
+                    {kpis?.mcOv!=null && mc.anyCi && (
+                      <div className="text-xs text-gray-600">
+                        Any route overflows on {(mc.daily * 100).toFixed(1)}% of {mc.ran} scenarios (95% CI {(mc.anyCi[0] * 100).toFixed(1)}–{(mc.anyCi[1] * 100).toFixed(1)}%).
+                      </div>
+                    )}
+                  </CardContent>
+                </Card>
+              </TabsContent>
+
+              <TabsContent value="alns">
+                <Card className="shadow-sm">
+                  <CardContent className="p-4 space-y-3">
+                    {job?.task === "alns" && (
+                      <>
+                        <div className="text-sm text-gray-600">
+                          {job.points.length ? (({ iteration, best, risk, elapsed }) =>
+                            `Iteration ${iteration}: best ${best.toFixed(1)} km-eq., ${risk.toFixed(3)} expected overflows, ${(elapsed / 1000).toFixed(1)} s`)(job.points[job.points.length - 1]) : "Starting…"}
+                        </div>
+                        <TraceChart points={job.points} x={pt => pt.iteration} series={ALNS_SERIES} />
+                      </>
+                    )}
+                    {!alns ? (
+                      !job && <div className="text-gray-500">Run ALNS to see which destroy/repair operators the bandit picked and what they earned.</div>
+                    ) : (
+                      <>
+                        <div className="grid grid-cols-4 gap-4 text-sm">
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Start cost</div><div className="text-2xl font-semibold">{alns.initial.total.toFixed(1)}</div></div>
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Best cost</div><div className="text-2xl font-semibold">{alns.cost.total.toFixed(1)}</div></div>
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Accepted</div><div className="text-2xl font-semibold">{alns.accepted}/{alns.iters}</div></div>
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">km / penalty / risk</div><div className="text-sm font-semibold">{alns.cost.km.toFixed(1)} / {alns.cost.penalty.toFixed(1)} / {alns.cost.risk.toFixed(1)}</div></div>
+                        </div>
+                        {!job && alns.trace?.length > 1 && <TraceChart points={alns.trace} x={pt => pt.iteration} series={ALNS_SERIES} />}
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-gray-500"><th>Operator</th><th>Selected</th><th>Mean reward (%)</th><th>New bests</th></tr>
+                          </thead>
+                          <tbody>
+                            {[["destroy", DESTROY_OPS], ["repair", REPAIR_OPS]].flatMap(([kind, names]) => names.map((name, k) => (
+                              <tr key={`${kind}-${name}`} className="border-t">
+                                <td className="py-1">{kind}: {name}</td>
+                                <td>{alns.stats[kind].count[k]}</td>
+                                <td>{alns.stats[kind].mean[k].toFixed(3)}</td>
+                                <td>{alns.stats[kind].bests[k]}</td>
+                              </tr>
+                            )))}
+                          </tbody>
+                        </table>
+                      </>
+                    )}
+                  </CardContent>
+                </Card>
+              </TabsContent>
+
+              <TabsContent value="week">
+                <Card className="shadow-sm">
+                  <CardContent className="p-4 space-y-3">
+                    {!week ? (
+                      <div className="text-gray-500">Plan week to split the budget ϱ over days and routes (set the number of days on the Monte Carlo tab).</div>
+                    ) : (
+                      <>
+                        {!week.met && (
+                          <div className="rounded-lg p-3 border border-red-200 bg-red-50 text-sm text-red-700">
+                            Budget not met: the weekly joint overflow stays above ϱ = {week.budget} even with every route gated at the smallest ε. Add trucks or capacity, or raise ϱ.
+                          </div>
+                        )}
+                        <div className="grid grid-cols-4 gap-4 text-sm">
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Σ ε allocated</div><div className="text-2xl font-semibold">{week.allocated.toFixed(3)}</div><div className="text-xs text-gray-500">budget ϱ = {week.budget}</div></div>
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Weekly joint (MC)</div><div className={`text-2xl font-semibold ${week.met ? "text-green-600" : "text-red-600"}`}>{week.mc.joint.toFixed(3)}</div></div>
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Distance (km)</div><div className="text-2xl font-semibold">{week.km.toFixed(1)}</div></div>
+                          <div className="bg-gray-50 rounded-lg p-3 border"><div className="text-gray-500">Planning rounds</div><div className="text-2xl font-semibold">{week.round}</div><div className="text-xs text-gray-500">budget scale {week.scale.toFixed(2)}</div></div>
+                        </div>
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-gray-500"><th>Day</th><th>Load</th><th>ε per route</th><th>ε used per route</th><th>km</th><th>Skipped</th><th>MC overflow</th></tr>
+                          </thead>
+                          <tbody>
+                            {week.plans.map((pl, d) => (
+                              <tr key={d} className="border-t">
+                                <td className="py-1">{pl.day}</td>
+                                <td>×{pl.load.toFixed(2)}</td>
+                                <td>{pl.eps.toFixed(4)}</td>
+                                <td className="font-mono text-xs">{pl.routeEps.map(x => x.used.toFixed(4)).join(" / ")}</td>
+                                <td>{pl.cost.km.toFixed(1)}</td>
+                                <td>{pl.sol.unrouted.length}</td>
+                                <td>{pl.mcDay.toFixed(3)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </>
+                    )}
+                  </CardContent>
+                </Card>
+              </TabsContent>
+
+              <TabsContent value="skips">
+                <Card className="shadow-sm">
+                  <CardContent className="p-4 space-y-3">
+                    {!skips.length ? (
+                      <div className="text-gray-500">{instance && routes.some(c => c.seq.length) ? "Every site is served." : "Build routes to see which sites are skipped and why."}</div>
+                    ) : (
+                      <>
+                        <div className="text-sm">
+                          {skips.length} skipped · penalties {skips.reduce((a, x) => a + x.penalty, 0).toFixed(1)} km-eq. ·
+                          {" "}expected spill tomorrow {skips.reduce((a, x) => a + x.spill, 0).toFixed(1)} L
+                        </div>
+                        <div className="max-h-[420px] overflow-auto">
+                          <table className="w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-gray-500"><th>Site</th><th>Reason</th><th>Penalty pᵢ</th><th>Cheapest Δ</th><th>P(overflow tomorrow)</th><th>E[spill] (L)</th></tr>
+                            </thead>
+                            <tbody>
+                              {skips.map(x => (
+                                <tr key={x.j} className="border-t">
+                                  <td className="py-1">{x.j}</td>
+                                  <td>{{ gate: "capacity gate", tw: "time window", cheaper: "cheaper to skip" }[x.reason]}</td>
+                                  <td>{x.penalty.toFixed(1)}</td>
+                                  <td>{x.delta == null ? "—" : x.delta.toFixed(1)}</td>
+                                  <td className={x.prob > 0.5 ? "text-red-600" : ""}>{x.prob.toFixed(3)}</td>
+                                  <td>{x.spill.toFixed(1)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </>
+                    )}
                   </CardContent>
                 </Card>
               </TabsContent>
@@ -514,3 +595,46 @@ export default function App() {
     </TooltipProvider>
   );
 }
+
+// -------------- Progress chart --------------
+// Worker progress as polylines scaled to the points so far (series with an empty label stay off the legend)
+function TraceChart({ points, x, series, height = 160 }) {
+  if (points.length < 2) return <div className="text-xs text-gray-400">Waiting for progress…</div>;
+  const W = 600, pad = 6;
+  const xs = points.map(x), ys = series.flatMap(s => points.map(s.y));
+  const x0 = Math.min(...xs), x1 = Math.max(...xs), y0 = Math.min(...ys), y1 = Math.max(...ys);
+  const px = v => pad + ((v - x0) / Math.max(1e-9, x1 - x0)) * (W - 2 * pad);
+  const py = v => height - pad - ((v - y0) / Math.max(1e-9, y1 - y0)) * (height - 2 * pad);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${height}`} className="w-full bg-white rounded-lg border" style={{ height }}>
+        {series.map((s, k) => (
+          <polyline key={k} fill="none" stroke={s.color} strokeWidth={2} strokeDasharray={s.dash}
+            points={points.map(pt => `${px(x(pt))},${py(s.y(pt))}`).join(" ")} />
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-xs text-gray-500 mt-1">
+        {series.filter(s => s.label).map(s => <span key={s.label} style={{ color: s.color }}>— {s.label}</span>)}
+        <span>range {y0.toFixed(3)}–{y1.toFixed(3)}</span>
+      </div>
+    </div>
+  );
+}
+
+// ALNS convergence in km-eq. (live from the worker, and kept with the finished run)
+const ALNS_SERIES = [
+  { label: "Best cost", color: "#10b981", y: pt => pt.best },
+  { label: "Current cost", color: "#94a3b8", y: pt => pt.cost },
+];
+
+// -------------- Worker jobs --------------
+const JOB_NAMES = { alns: "ALNS", alnsMonteCarlo: "Monte Carlo", week: "Weekly plan" };
+
+// Latest progress of a running job in words
+function jobStatus(job) {
+  const pt = job.points[job.points.length - 1];
+  if (!pt) return "";
+  if (job.task === "alns") return `iteration ${pt.iteration}, best ${pt.best.toFixed(1)}`;
+  if (job.task === "week") return `${pt.phase} ${pt.done}/${pt.total}`;
+  return `${pt.trials} scenarios`;
+}
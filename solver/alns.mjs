@@ -0,0 +1,797 @@
+// ==========================================================
+// Q-Route+ ALNS solver (headless ES module, no React)
+// - Bernstein quantile gate (correlation-aware)
+// - Shrinkage + low-rank covariance
+// - Selective skipping with penalties
+// - Bandit-guided multi-vehicle ALNS (UCB over destroy/repair operators)
+// - Weekly risk budget ϱ allocated across days and routes (Boole), checked by Monte Carlo
+// - Monte Carlo evaluation with correlated sampling
+// Used by code/q_route_web_simulation_react.jsx (ALNS and Monte Carlo through solver/worker.mjs)
+// and the batch benchmark in solver/cli.mjs. The capacity bounds, travel providers, skip
+// penalties and overflow probabilities are those of qroute.mjs, so both UIs gate and price alike.
+// ==========================================================
+import {
+  RNG_STREAMS, makeRng, clamp, dist, gaussian as randn, normalCdf, normalPdf, runningCi,
+  bernsteinBound, normalQuantileBound, requiredEps, euclideanTravel, matrixTravel, matrixPoints,
+  tomorrowOverflow, skipPenaltyOf, segmentOverflowProb,
+} from "./qroute.mjs";
+
+// Seeded PRNG streams and the normal-distribution helpers are shared with the route solver
+export { RNG_STREAMS, makeRng, clamp, dist, randn, normalCdf, normalPdf };
+
+// -------------- Math / Utils --------------
+// Random low-rank factors (p x r)
+export function randomLowRankFactors(p, r, scale, rng) {
+  const L = Array.from({ length: p }, () => Array.from({ length: r }, () => randn(rng)));
+  return scaleColumns(L, scale);
+}
+
+// Normalize columns for stability, then give each the length `scale` (the surge strength;
+// unit columns would make the surge setting a no-op)
+function scaleColumns(L, scale) {
+  const r = L[0]?.length ?? 0;
+  for (let k = 0; k < r; k++) {
+    let norm = 1e-9;
+    for (let i = 0; i < L.length; i++) norm += L[i][k] ** 2;
+    norm = Math.sqrt(norm);
+    for (let i = 0; i < L.length; i++) L[i][k] *= scale / norm;
+  }
+  return L;
+}
+
+// Loadings by correlation structure: "low-rank" dense Gaussian, "sparse" one or two factors
+// per site, "block" exactly one positive factor per site (clusters that surge together),
+// "mixed" a block half plus a dense low-rank half
+export const CORR_STRUCTURES = ["low-rank", "sparse", "block", "mixed"];
+
+export function structuredFactors(p, r, corr, scale, rng) {
+  if (corr === "low-rank") return randomLowRankFactors(p, r, scale, rng);
+  const L = Array.from({ length: p }, () => new Array(r).fill(0));
+  const blocks = corr === "mixed" ? Math.max(1, Math.floor(r / 2)) : r;
+  for (let i = 0; i < p; i++) {
+    if (corr === "sparse") {
+      L[i][Math.floor(rng() * r)] = randn(rng);
+      if (rng() < 0.5) L[i][Math.floor(rng() * r)] += randn(rng);
+    } else {
+      L[i][Math.floor(rng() * blocks)] = 0.5 + rng();
+      for (let k = blocks; k < r; k++) L[i][k] = randn(rng);
+    }
+  }
+  return scaleColumns(L, scale);
+}
+
+// -------------- Estimation from historical fills --------------
+// Parse a days × sites CSV: one row per day, one column per site. A header row and a
+// leading date/day column are optional; empty cells or NA count as missing.
+export function parseHistoryCsv(text) {
+  const lines = text.split(/\r?\n/).map((ln, i) => ({ line: i + 1, cells: ln.split(",").map(c => c.trim()) }))
+    .filter(row => row.cells.some(c => c !== ""));
+  const errors = [];
+  const isNum = c => c !== "" && Number.isFinite(Number(c));
+  const isMissing = c => c === "" || /^(na|nan|null)$/i.test(c);
+  let header = null;
+  if (lines.length && lines[0].cells.some(c => c !== "" && !isNum(c))) header = lines.shift();
+  const skipFirst = lines.length > 0 && (
+    (header && /^(date|day|t)$/i.test(header.cells[0])) || lines.every(row => !isNum(row.cells[0]) && !isMissing(row.cells[0]))
+  );
+  const width = (header ?? lines[0])?.cells.length ?? 0;
+  const X = [];
+  for (const { line, cells } of lines) {
+    if (cells.length !== width) { errors.push({ line, message: `expected ${width} columns, got ${cells.length}` }); continue; }
+    const vals = (skipFirst ? cells.slice(1) : cells).map(c => isMissing(c) ? NaN : Number(c));
+    const bad = vals.findIndex((v, k) => Number.isNaN(v) && !isMissing((skipFirst ? cells.slice(1) : cells)[k]));
+    if (bad >= 0) { errors.push({ line, message: `column ${bad + (skipFirst ? 2 : 1)} is not a number` }); continue; }
+    if (vals.some(v => v < 0)) { errors.push({ line, message: "negative fill volume" }); continue; }
+    X.push(vals);
+  }
+  const siteIds = header ? (skipFirst ? header.cells.slice(1) : header.cells) : null;
+  if (!errors.length && X.length < 2) errors.push({ line: "-", message: "need at least two days of observations" });
+  return { X, siteIds, errors };
+}
+
+// Top-r eigenpairs of a symmetric PSD matrix by orthogonal (block power) iteration.
+export function topEigen(A, r, { iters = 300, tol = 1e-10 } = {}) {
+  const p = A.length;
+  const rng = makeRng(0, "eigen"); // fixed start so estimates are reproducible
+  let Q = Array.from({ length: p }, () => Array.from({ length: r }, () => rng() - 0.5));
+  let vals = new Array(r).fill(0);
+  for (let it = 0; it < iters; it++) {
+    const Z = Array.from({ length: p }, (_, i) => {
+      const row = new Array(r).fill(0);
+      for (let j = 0; j < p; j++) { const a = A[i][j]; if (a !== 0) for (let k = 0; k < r; k++) row[k] += a * Q[j][k]; }
+      return row;
+    });
+    // Gram-Schmidt on the columns of Z; column norms converge to the eigenvalues
+    const next = new Array(r).fill(0);
+    for (let k = 0; k < r; k++) {
+      for (let m = 0; m < k; m++) {
+        let dot = 0; for (let i = 0; i < p; i++) dot += Z[i][k] * Z[i][m];
+        for (let i = 0; i < p; i++) Z[i][k] -= dot * Z[i][m];
+      }
+      let norm = 0; for (let i = 0; i < p; i++) norm += Z[i][k] ** 2;
+      norm = Math.sqrt(norm);
+      next[k] = norm;
+      for (let i = 0; i < p; i++) Z[i][k] = norm > 1e-12 ? Z[i][k] / norm : 0;
+    }
+    Q = Z;
+    const done = next.every((v, k) => Math.abs(v - vals[k]) <= tol * Math.max(1, v));
+    vals = next;
+    if (done) break;
+  }
+  return { values: vals, vectors: Q };
+}
+
+// Fit μ, D, L, b from a days × sites matrix X:
+//  - μᵢ: sample means (missing cells imputed with the mean)
+//  - Σ: Ledoit–Wolf shrinkage of the sample covariance towards (tr S / p)·I
+//  - L: rank-r probabilistic PCA of Σ, L = V (Λ − ν I)^½ with ν the mean discarded eigenvalue
+//  - D: diag(Σ) − rowsum(L²), so the factor model keeps each site's variance
+//  - bᵢ: largest observed |xᵢ − μᵢ| (the Bernstein deviation cap)
+export function estimateFillModel(X, { r }) {
+  const n = X.length, p = X[0].length;
+  const rank = clamp(Math.floor(r), 1, p);
+  const mu = new Array(p).fill(0), seen = new Array(p).fill(0);
+  let imputed = 0;
+  for (const row of X) row.forEach((v, i) => { if (Number.isFinite(v)) { mu[i] += v; seen[i]++; } });
+  for (let i = 0; i < p; i++) mu[i] = seen[i] ? mu[i] / seen[i] : 0;
+  const Y = X.map(row => row.map((v, i) => { if (Number.isFinite(v)) return v - mu[i]; imputed++; return 0; }));
+
+  const S = Array.from({ length: p }, () => new Array(p).fill(0));
+  for (const y of Y) for (let i = 0; i < p; i++) { const yi = y[i]; if (yi !== 0) for (let j = 0; j < p; j++) S[i][j] += yi * y[j]; }
+  for (let i = 0; i < p; i++) for (let j = 0; j < p; j++) S[i][j] /= n;
+
+  // Ledoit–Wolf (2004) intensity for the scaled-identity target
+  let trS = 0; for (let i = 0; i < p; i++) trS += S[i][i];
+  const m = trS / p;
+  let d2 = 0, normS2 = 0;
+  for (let i = 0; i < p; i++) for (let j = 0; j < p; j++) { d2 += (S[i][j] - (i === j ? m : 0)) ** 2; normS2 += S[i][j] ** 2; }
+  let b2bar = 0;
+  for (const y of Y) {
+    let yy = 0, ySy = 0;
+    for (let i = 0; i < p; i++) {
+      yy += y[i] * y[i];
+      let Si = 0; for (let j = 0; j < p; j++) Si += S[i][j] * y[j];
+      ySy += y[i] * Si;
+    }
+    b2bar += yy * yy - 2 * ySy + normS2;
+  }
+  b2bar /= n * n;
+  const lambda = d2 > 0 ? Math.min(b2bar, d2) / d2 : 1;
+  const Sigma = S.map((row, i) => row.map((v, j) => (1 - lambda) * v + (i === j ? lambda * m : 0)));
+
+  const { values, vectors } = topEigen(Sigma, rank);
+  const nu = p > rank ? Math.max(0, (trS - values.reduce((a, v) => a + v, 0)) / (p - rank)) : 0;
+  const scale = values.map(v => Math.sqrt(Math.max(v - nu, 0)));
+  const L = vectors.map(row => row.map((v, k) => v * scale[k]));
+  const D = Sigma.map((row, i) => Math.max(row[i] - L[i].reduce((a, v) => a + v * v, 0), 1e-6));
+
+  const b = new Array(p).fill(0);
+  X.forEach((row, t) => row.forEach((v, i) => { if (Number.isFinite(v)) b[i] = Math.max(b[i], Math.abs(Y[t][i])); }));
+  for (let i = 0; i < p; i++) if (b[i] === 0) b[i] = 2 * Math.sqrt(Sigma[i][i]);
+
+  const explained = trS > 0 ? scale.reduce((a, v) => a + v * v, 0) / trS : 0;
+  return { mu, D, L, b, p, r: rank, lambda, explained, days: n, imputed };
+}
+
+// Draw `days` rows of fills from an instance's factor model (for checking the estimator)
+export function simulateHistory(inst, days) {
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.simulation}:history`);
+  return Array.from({ length: days }, () => sampleCorrelated(inst, rng));
+}
+
+// -------------- Instance generator --------------
+// With `model` (from estimateFillModel) the demand statistics come from data and only
+// coordinates, time windows and service times are generated.
+export function generateInstance({ p, r, surge, corr = "low-rank", meanMin, meanMax, dMin, dMax, twWidth, gridSize, seed, model }) {
+  const rng = makeRng(seed, RNG_STREAMS.instance);
+  let mu, D, L, b;
+  if (model) {
+    ({ mu, D, L, b, p, r } = model);
+  } else {
+    // Means and diagonal variances
+    mu = Array.from({ length: p }, () => meanMin + rng() * (meanMax - meanMin));
+    D = Array.from({ length: p }, () => dMin + rng() * (dMax - dMin));
+    L = structuredFactors(p, r, corr, surge, rng);
+
+    // Shrinkage (diagonal proxy)
+    const tau = D.reduce((a, v) => a + v, 0) / Math.max(1, p);
+    const lambda = 0.3; // shrinkage weight
+    D = D.map(v => (1 - lambda) * v + lambda * tau);
+
+    // Bernstein cap parameter b_i
+    b = Array.from({ length: p }, (_, i) => 2 * Math.sqrt(D[i]) + 0.2 * mu[i]);
+  }
+
+  // Coordinates + time windows + service
+  const coords = [];
+  const e = []; // open
+  const l = []; // close
+  const s = []; // service time
+  for (let i = 0; i < p; i++) {
+    coords.push({ x: rng() * gridSize, y: rng() * gridSize });
+    const open = 8 * 60 + Math.floor(rng() * 120); // 08:00-10:00
+    const close = open + twWidth + Math.floor(rng() * 90);
+    e.push(open); l.push(close); s.push(5 + Math.floor(rng() * 10));
+  }
+  // Bin volumes (1.8–2.8 days of mean fill) and skip weights from their own stream
+  const brng = makeRng(seed, `${RNG_STREAMS.instance}:bins`);
+  const binCap = mu.map(m => m * (1.8 + brng()));
+  const w = mu.map(() => 0.5 + brng()); // relative importance of a site in the skip penalty
+  const depot = { x: gridSize / 2, y: gridSize / 2 };
+  return { mu, D, b, L, e, l, s, coords, depot, p, r, seed, binCap, w };
+}
+
+// -------------- Travel --------------
+// Legs go through a travel provider of qroute.mjs on the generator's grid (GRID_KM km per unit,
+// so a 1000-unit grid is 50 km across). withTravel attaches one at `speedKmh`: straight lines,
+// or a road matrix from parseTravelMatrix whose labels are "D0" for the depot and site indices
+// (without labels: the depot, then the sites). Routes leave at SHIFT_START (minutes since
+// midnight); speed profiles count from there, as in the app. Instances without a provider
+// drive straight lines at 30 km/h.
+export const GRID_KM = 0.05;
+export const SHIFT_START = 8 * 60;
+const GRID_TRAVEL = euclideanTravel(30, null, GRID_KM);
+
+export function withTravel(inst, matrix = null, speedKmh = 30) {
+  if (!matrix) return { ...inst, travel: euclideanTravel(speedKmh, null, GRID_KM) };
+  const sites = inst.coords.map((c, i) => ({ ...c, id: i }));
+  const points = matrixPoints(matrix, { depots: [inst.depot], facilities: [], sites, sitesByIdx: new Map(sites.map(s => [s.id, s])) });
+  return { ...inst, travel: matrixTravel(matrix, points, speedKmh, matrix.profile, GRID_KM) };
+}
+
+export function kmBetween(inst, a, b) { return (inst.travel ?? GRID_TRAVEL).km(a, b); }
+
+// `depart` in minutes since midnight picks the time-of-day factor of the speed profile
+export function travelMinutes(inst, a, b, depart = null) {
+  return (inst.travel ?? GRID_TRAVEL).minutes(a, b, depart == null ? null : depart - SHIFT_START);
+}
+
+// -------------- Quantile Route Oracle --------------
+// Capacity gate quantile of a route's load, by cfg.gate: "qro" (default) the Bernstein bound on
+// the correlated variance; the baselines "det" (mean load ≤ C) and "indep" (Normal quantile on
+// Σ σⱼ², correlation ignored)
+export const GATES = ["qro", "det", "indep"];
+
+export function gateQuantile(st, cfg) {
+  if (cfg.gate === "det") return st.mu;
+  if (cfg.gate === "indep") return normalQuantileBound(st.mu, st.sumVar, cfg.eps);
+  return bernsteinBound(st.mu, st.sigma2, cfg.eps, st.bMax);
+}
+
+export function makeRouteCaches(p, r) {
+  return {
+    u: new Array(p).fill(false), // used flags
+    g: new Array(r).fill(0),     // L^T * indicator
+    sumD: 0,
+    sumVar: 0,                   // Σ σⱼ² (marginal variances, for the independent gate)
+    mu: 0,
+    bMax: 0,
+    seq: [],
+  };
+}
+
+export function findFeasiblePosition(inst, seq, j, { depot }) {
+  for (let pos = 0; pos <= seq.length; pos++) {
+    const test = seq.slice();
+    test.splice(pos, 0, j);
+    if (forwardFeasible(inst, test, depot)) return pos;
+  }
+  return -1;
+}
+
+export function forwardFeasible(inst, seq, depot) {
+  const { e, l, s, coords } = inst;
+  let time = SHIFT_START;
+  let last = depot;
+  for (let idx of seq) {
+    time += travelMinutes(inst, last, coords[idx], time);
+    time = Math.max(time, e[idx]);
+    if (time > l[idx]) return false;
+    time += s[idx];
+    last = coords[idx];
+  }
+  return true; // return-to-depot omitted for simplicity
+}
+
+// Marginal variance σⱼ² = Dⱼ + |Lⱼ|²
+export function siteVariance(inst, j) {
+  return inst.D[j] + inst.L[j].reduce((a, v) => a + v * v, 0);
+}
+
+// Order-independent route stats after adding site j: O(r) thanks to g = Lᵀ·1
+export function gateStats(inst, caches, j) {
+  const { mu, D, b, L } = inst;
+  const gPrime = caches.g.slice();
+  for (let k = 0; k < L[0].length; k++) gPrime[k] += L[j][k];
+  const sumDPrime = caches.sumD + D[j];
+  return {
+    mu: caches.mu + mu[j],
+    g: gPrime,
+    sumD: sumDPrime,
+    sumVar: caches.sumVar + siteVariance(inst, j),
+    sigma2: gPrime.reduce((acc, x) => acc + x * x, 0) + sumDPrime,
+    bMax: Math.max(caches.bMax, b[j]),
+  };
+}
+
+export function tryInsert({ inst, caches, j, C, eps, timeParams }) {
+  // Update order-independent stats
+  const st = gateStats(inst, caches, j);
+
+  // Capacity gate
+  const q = gateQuantile(st, { eps });
+  if (q > C) return { ok: false, reason: `Gate FAIL: q=${q.toFixed(2)} > C=${C}` };
+
+  // Time window feasibility: try best position
+  const pos = findFeasiblePosition(inst, caches.seq, j, timeParams);
+  if (pos < 0) return { ok: false, reason: `Time-window FAIL` };
+
+  // Commit
+  caches.mu = st.mu; caches.g = st.g; caches.sumD = st.sumD; caches.sumVar = st.sumVar; caches.bMax = st.bMax; caches.u[j] = true;
+  const newSeq = caches.seq.slice(); newSeq.splice(pos, 0, j); caches.seq = newSeq;
+  return { ok: true, reason: `PASS` };
+}
+
+// -------------- Objective --------------
+// cost = route km + Σ_{skipped} pᵢ + overflowCost · Σ_R P(load_R > C)
+// (penalties and overflow cost are in km-equivalents; P from the Normal approximation)
+export function routeKm(inst, seq, depot) {
+  let km = 0, last = depot;
+  for (const j of seq) { km += kmBetween(inst, last, inst.coords[j]); last = inst.coords[j]; }
+  return seq.length ? km + kmBetween(inst, last, depot) : 0;
+}
+
+export function routeRisk(caches, C) {
+  if (!caches.seq.length) return 0;
+  return segmentOverflowProb(caches.mu, caches.g.reduce((a, x) => a + x * x, 0) + caches.sumD, C);
+}
+
+// Site j in the shape qroute.mjs prices skips on: mean, sd, bin volume and own penalty
+export function siteOf(inst, j, cfg) {
+  return { mu: inst.mu[j], sigma: Math.sqrt(siteVariance(inst, j)), V: inst.binCap[j], penalty: cfg.skipPenalty * (inst.w?.[j] ?? 1) };
+}
+
+// Per-site skip penalties pᵢ = skipPenalty·wᵢ, grown (riskScaled) by P(bin overflows by
+// tomorrow) as in skipPenaltyOf
+export function sitePenalties(inst, cfg) {
+  return Array.from({ length: inst.p }, (_, j) => skipPenaltyOf(cfg, siteOf(inst, j, cfg)));
+}
+
+export function solutionCost(inst, sol, cfg) {
+  const km = sol.fleet.reduce((a, c) => a + routeKm(inst, c.seq, cfg.depot), 0);
+  const pen = cfg.pen ?? sitePenalties(inst, cfg);
+  const penalty = sol.unrouted.reduce((a, j) => a + pen[j], 0);
+  const risk = cfg.overflowCost * sol.fleet.reduce((a, c) => a + routeRisk(c, cfg.C), 0);
+  return { total: km + penalty + risk, km, penalty, risk };
+}
+
+// -------------- Bandit ALNS --------------
+// Destroy and repair operators are separate UCB bandits; both are rewarded with the
+// relative change of the true objective (in %), so they learn what actually helps.
+export const DESTROY_OPS = ["random", "worst", "shaw", "route"];
+export const REPAIR_OPS = ["greedy", "regret-3"];
+
+export function pickOperator(stats, t, c = 1.2) {
+  let best = 0, bestVal = -Infinity;
+  for (let k = 0; k < stats.count.length; k++) {
+    const n = stats.count[k] || 0; const m = stats.mean[k] || 0;
+    const ucb = m + c * Math.sqrt(Math.log(Math.max(2, t)) / Math.max(1, n));
+    if (ucb > bestVal) { bestVal = ucb; best = k; }
+  }
+  return best;
+}
+
+export function updateBandit(stats, k, reward) {
+  const n = (stats.count[k] || 0) + 1;
+  const m = stats.mean[k] || 0;
+  stats.mean[k] = m + (reward - m) / n;
+  stats.count[k] = n;
+}
+
+export function makeBanditStats(n) {
+  return { mean: Array(n).fill(0), count: Array(n).fill(0), bests: Array(n).fill(0) };
+}
+
+export function rebuildCaches(inst, seq) {
+  const caches = makeRouteCaches(inst.p, inst.r);
+  for (let j of seq) {
+    caches.mu += inst.mu[j];
+    caches.sumD += inst.D[j];
+    caches.sumVar += siteVariance(inst, j);
+    for (let k = 0; k < inst.r; k++) caches.g[k] += inst.L[j][k];
+    caches.bMax = Math.max(caches.bMax, inst.b[j]);
+    caches.u[j] = true;
+  }
+  caches.seq = seq.slice();
+  return caches;
+}
+
+export function cloneSolution(sol) {
+  return {
+    fleet: sol.fleet.map(c => ({ ...c, g: c.g.slice(), u: c.u.slice(), seq: c.seq.slice(), sched: undefined })),
+    unrouted: sol.unrouted.slice(),
+  };
+}
+
+export function removeFromSolution(inst, sol, removed) {
+  const gone = new Set(removed);
+  sol.fleet = sol.fleet.map(c => c.seq.some(j => gone.has(j)) ? rebuildCaches(inst, c.seq.filter(j => !gone.has(j))) : c);
+}
+
+// Randomised pick from a list sorted best-first (Ropke & Pisinger, determinism p)
+export function biasedPick(list, rng, p = 3) {
+  return list[Math.floor(Math.pow(rng(), p) * list.length)];
+}
+
+export function routedSites(sol) {
+  return sol.fleet.flatMap(c => c.seq);
+}
+
+// Destroy operators: return the removed sites (sol is modified in place)
+export const DESTROY = {
+  random(inst, sol, q, cfg, rng) {
+    const pool = routedSites(sol);
+    const removed = [];
+    while (removed.length < q && pool.length) removed.push(pool.splice(Math.floor(rng() * pool.length), 1)[0]);
+    removeFromSolution(inst, sol, removed);
+    return removed;
+  },
+  worst(inst, sol, q, cfg, rng) {
+    // largest distance saving first
+    const savings = [];
+    for (const c of sol.fleet) c.seq.forEach((j, i) => {
+      const prev = i === 0 ? cfg.depot : inst.coords[c.seq[i - 1]];
+      const next = i === c.seq.length - 1 ? cfg.depot : inst.coords[c.seq[i + 1]];
+      savings.push({ j, s: kmBetween(inst, prev, inst.coords[j]) + kmBetween(inst, inst.coords[j], next) - kmBetween(inst, prev, next) });
+    });
+    savings.sort((a, b) => b.s - a.s);
+    const removed = [];
+    while (removed.length < q && savings.length) {
+      const pick = biasedPick(savings, rng);
+      removed.push(pick.j); savings.splice(savings.indexOf(pick), 1);
+    }
+    removeFromSolution(inst, sol, removed);
+    return removed;
+  },
+  shaw(inst, sol, q, cfg, rng) {
+    // related removal: close in space, time window and expected fill
+    const pool = routedSites(sol);
+    if (!pool.length) return [];
+    const maxMu = Math.max(...inst.mu), maxTw = Math.max(...inst.e) - Math.min(...inst.e) + 1;
+    const rel = (a, b) => dist(inst.coords[a], inst.coords[b]) / 1000 + Math.abs(inst.e[a] - inst.e[b]) / maxTw + Math.abs(inst.mu[a] - inst.mu[b]) / maxMu;
+    const removed = [pool.splice(Math.floor(rng() * pool.length), 1)[0]];
+    while (removed.length < q && pool.length) {
+      const ref = removed[Math.floor(rng() * removed.length)];
+      pool.sort((a, b) => rel(ref, a) - rel(ref, b));
+      removed.push(pool.splice(pool.indexOf(biasedPick(pool, rng, 6)), 1)[0]);
+    }
+    removeFromSolution(inst, sol, removed);
+    return removed;
+  },
+  route(inst, sol, q, cfg, rng) {
+    const used = sol.fleet.map((c, i) => i).filter(i => sol.fleet[i].seq.length);
+    if (!used.length) return [];
+    const ri = used[Math.floor(rng() * used.length)];
+    const removed = sol.fleet[ri].seq.slice();
+    sol.fleet[ri] = makeRouteCaches(inst.p, inst.r);
+    return removed;
+  },
+};
+
+// Service start times a_k and latest feasible starts z_k (backward pass) of a route, so an
+// insertion can be time-checked in O(1): the new arrival at the successor must stay ≤ z.
+export function routeSchedule(inst, seq, depot) {
+  const { e, l, s, coords } = inst;
+  const a = new Array(seq.length), z = new Array(seq.length);
+  let time = SHIFT_START, last = depot;
+  seq.forEach((j, k) => { a[k] = Math.max(time + travelMinutes(inst, last, coords[j], time), e[j]); time = a[k] + s[j]; last = coords[j]; });
+  for (let k = seq.length - 1; k >= 0; k--) {
+    const j = seq[k];
+    // with a speed profile the leg is priced at the earliest departure a_k + s_j (approximate)
+    z[k] = k === seq.length - 1 ? l[j] : Math.min(l[j], z[k + 1] - s[j] - travelMinutes(inst, coords[j], coords[seq[k + 1]], a[k] + s[j]));
+  }
+  return { a, z };
+}
+
+// Driver minutes of a route: departure at SHIFT_START to the return at the depot
+export function routeMinutes(inst, seq, depot) {
+  if (!seq.length) return 0;
+  const { a } = routeSchedule(inst, seq, depot);
+  const j = seq[seq.length - 1], t = a[seq.length - 1] + inst.s[j];
+  return t + travelMinutes(inst, inst.coords[j], depot, t) - SHIFT_START;
+}
+
+// Manual assignments: inst.pins[j] = index of the truck site j must ride on (optional).
+// Repair puts a pinned site on that truck only, and even above its penalty; skip moves keep it.
+export function pinOf(inst, j) { return inst.pins?.[j] ?? null; }
+
+// Cheapest gate- and TW-feasible insertion of j into one route, or { ri, fail: "gate" | "tw" | "pin" }
+export function bestInsertion(inst, c, ri, j, cfg) {
+  const pin = pinOf(inst, j);
+  if (pin != null && pin !== ri) return { ri, fail: "pin" };
+  const st = gateStats(inst, c, j);
+  if (gateQuantile(st, cfg) > cfg.C) return { ri, fail: "gate" };
+  const dRisk = cfg.overflowCost * (segmentOverflowProb(st.mu, st.sigma2, cfg.C) - routeRisk(c, cfg.C));
+  const { e, l, s, coords } = inst;
+  const sched = c.sched ?? (c.sched = routeSchedule(inst, c.seq, cfg.depot));
+  let best = null;
+  for (let pos = 0; pos <= c.seq.length; pos++) {
+    const prev = pos === 0 ? cfg.depot : coords[c.seq[pos - 1]];
+    const next = pos === c.seq.length ? cfg.depot : coords[c.seq[pos]];
+    const delta = kmBetween(inst, prev, coords[j]) + kmBetween(inst, coords[j], next) - kmBetween(inst, prev, next) + dRisk;
+    if (best && delta >= best.delta) continue;
+    const depart = pos === 0 ? SHIFT_START : sched.a[pos - 1] + s[c.seq[pos - 1]];
+    const aj = Math.max(depart + travelMinutes(inst, prev, coords[j], depart), e[j]);
+    if (aj > l[j]) continue;
+    if (pos < c.seq.length) {
+      const nj = c.seq[pos];
+      if (Math.max(aj + s[j] + travelMinutes(inst, coords[j], next, aj + s[j]), e[nj]) > sched.z[pos]) continue;
+    }
+    best = { ri, pos, delta, st };
+  }
+  return best ?? { ri, fail: "tw" };
+}
+
+export function commitInsert(sol, j, { ri, pos, st }) {
+  const c = sol.fleet[ri];
+  const seq = c.seq.slice(); seq.splice(pos, 0, j);
+  const u = c.u.slice(); u[j] = true;
+  sol.fleet[ri] = { ...c, mu: st.mu, g: st.g, sumD: st.sumD, sumVar: st.sumVar, bMax: st.bMax, u, seq, sched: undefined };
+}
+
+// Insert from `pool` while that beats paying the skip penalty; whatever is left ends up in
+// sol.unrouted. `choose` picks the next site from { j, opts } (opts sorted by delta).
+// Per-route options are cached and only the route that changed is re-evaluated.
+export function repairWith(inst, sol, pool, cfg, choose) {
+  const pen = cfg.pen ?? sitePenalties(inst, cfg);
+  const opts = new Map(pool.map(j => [j, sol.fleet.map((c, ri) => bestInsertion(inst, c, ri, j, cfg))]));
+  let left = pool.slice();
+  while (left.length) {
+    const ranked = left.map(j => ({ j, opts: opts.get(j).filter(o => !o.fail).sort((x, y) => x.delta - y.delta) }))
+      .filter(x => x.opts.length && (x.opts[0].delta < pen[x.j] || pinOf(inst, x.j) != null));
+    if (!ranked.length) break;
+    const pick = choose(ranked, pen);
+    commitInsert(sol, pick.j, pick.opts[0]);
+    left = left.filter(j => j !== pick.j);
+    // an extra stop never makes a time-window failure feasible (travel obeys the triangle
+    // inequality), so only the other options of route ri are re-evaluated
+    const ri = pick.opts[0].ri;
+    for (const j of left) if (opts.get(j)[ri].fail !== "tw") opts.get(j)[ri] = bestInsertion(inst, sol.fleet[ri], ri, j, cfg);
+  }
+  sol.unrouted = left;
+}
+
+export const REPAIR = {
+  greedy(inst, sol, pool, cfg) {
+    repairWith(inst, sol, pool, cfg, ranked => ranked.reduce((a, x) => x.opts[0].delta < a.opts[0].delta ? x : a));
+  },
+  "regret-3"(inst, sol, pool, cfg) {
+    // missing alternatives cost the site's skip penalty
+    const regret = (x, pen) => [1, 2].reduce((acc, h) => acc + (x.opts[h]?.delta ?? pen[x.j]) - x.opts[0].delta, 0);
+    repairWith(inst, sol, pool, cfg, (ranked, pen) => ranked.reduce((a, x) => regret(x, pen) > regret(a, pen) ? x : a));
+  },
+};
+
+// Skip move: drop the stop whose km + overflow-risk saving exceeds its penalty by the most,
+// until none does. Unskip is the repair step (insert while cheaper than the penalty).
+export function skipMoves(inst, sol, cfg) {
+  const pen = cfg.pen ?? sitePenalties(inst, cfg);
+  for (;;) {
+    let best = null;
+    sol.fleet.forEach((c, ri) => c.seq.forEach((j, i) => {
+      if (pinOf(inst, j) != null) return;
+      const prev = i === 0 ? cfg.depot : inst.coords[c.seq[i - 1]];
+      const next = i === c.seq.length - 1 ? cfg.depot : inst.coords[c.seq[i + 1]];
+      const km = kmBetween(inst, prev, inst.coords[j]) + kmBetween(inst, inst.coords[j], next) - kmBetween(inst, prev, next);
+      const g = c.g.map((v, k) => v - inst.L[j][k]);
+      const risk = c.seq.length > 1 ? segmentOverflowProb(c.mu - inst.mu[j], g.reduce((a, x) => a + x * x, 0) + c.sumD - inst.D[j], cfg.C) : 0;
+      const gain = km + cfg.overflowCost * (routeRisk(c, cfg.C) - risk) - pen[j];
+      if (gain > 1e-9 && (!best || gain > best.gain)) best = { j, gain };
+    }));
+    if (!best) return;
+    removeFromSolution(inst, sol, [best.j]);
+    sol.unrouted = [...sol.unrouted, best.j];
+  }
+}
+
+// Why each unrouted site is off the plan: no route passes the capacity gate ("gate"), the
+// gate passes somewhere but no time-feasible slot exists ("tw"), or a feasible insertion
+// costs more than its penalty ("cheaper"). Includes what leaving it until tomorrow risks.
+export function skipReport(inst, sol, cfg) {
+  const pen = cfg.pen ?? sitePenalties(inst, cfg);
+  return sol.unrouted.map(j => {
+    const opts = sol.fleet.map((c, ri) => bestInsertion(inst, { ...c, sched: undefined }, ri, j, cfg));
+    const ok = opts.filter(o => !o.fail).sort((x, y) => x.delta - y.delta);
+    const reason = ok.length ? "cheaper" : opts.some(o => o.fail === "tw") ? "tw" : "gate";
+    const { prob, spill } = tomorrowOverflow(siteOf(inst, j, cfg));
+    return { j, reason, penalty: pen[j], delta: ok.length ? ok[0].delta : null, prob, spill };
+  }).sort((a, b) => b.prob - a.prob);
+}
+
+// Multi-vehicle ALNS with simulated-annealing acceptance. Starts at T₀ where a 5 % worse
+// solution is accepted with probability ½ and cools geometrically to T₀/1000.
+// With budgetMs the search runs until that much time has passed (iters is then ignored) and
+// the temperature follows the elapsed share of the budget. onProgress gets { iteration, cost,
+// best, risk (expected overflows of the best solution), elapsed } after every iteration.
+export function runAlnsSearch(inst, start, cfg, iters, rng, { budgetMs = null, onProgress = null } = {}) {
+  cfg = { ...cfg, pen: cfg.pen ?? sitePenalties(inst, cfg) };
+  const stats = { destroy: makeBanditStats(DESTROY_OPS.length), repair: makeBanditStats(REPAIR_OPS.length) };
+  let cur = { sol: cloneSolution(start), cost: solutionCost(inst, start, cfg) };
+  let best = cur;
+  const T0 = (0.05 * cur.cost.total) / Math.log(2);
+  const alpha = Math.pow(1e-3, 1 / Math.max(1, iters));
+  const started = Date.now();
+  let T = T0, accepted = 0, t = 1;
+  for (; budgetMs != null ? Date.now() - started < budgetMs : t <= iters; t++) {
+    if (budgetMs != null) T = T0 * Math.pow(1e-3, (Date.now() - started) / budgetMs);
+    const d = pickOperator(stats.destroy, t);
+    const rp = pickOperator(stats.repair, t);
+    const cand = cloneSolution(cur.sol);
+    const nRouted = routedSites(cand).length;
+    const q = Math.max(1, Math.min(nRouted, Math.round(nRouted * (0.1 + 0.2 * rng()))));
+    const removed = DESTROY[DESTROY_OPS[d]](inst, cand, q, cfg, rng);
+    REPAIR[REPAIR_OPS[rp]](inst, cand, [...removed, ...cand.unrouted], cfg);
+    skipMoves(inst, cand, cfg);
+    const cost = solutionCost(inst, cand, cfg);
+    const reward = (100 * (cur.cost.total - cost.total)) / Math.max(1e-9, cur.cost.total);
+    updateBandit(stats.destroy, d, reward);
+    updateBandit(stats.repair, rp, reward);
+    if (cost.total < cur.cost.total - 1e-9 || rng() < Math.exp(-(cost.total - cur.cost.total) / T)) {
+      cur = { sol: cand, cost }; accepted++;
+      if (cost.total < best.cost.total - 1e-9) {
+        best = cur;
+        stats.destroy.bests[d]++; stats.repair.bests[rp]++;
+      }
+    }
+    T *= alpha;
+    onProgress?.({ iteration: t, cost: cur.cost.total, best: best.cost.total, risk: best.cost.risk / Math.max(1e-9, cfg.overflowCost), elapsed: Date.now() - started });
+  }
+  return { best: best.sol, cost: best.cost, initial: solutionCost(inst, start, cfg), stats, accepted, iters: t - 1 };
+}
+
+// -------------- Monte Carlo --------------
+export function sampleCorrelated(inst, rng) {
+  const { mu, L, D, p } = inst;
+  const zr = new Array(L[0].length).fill(0).map(() => randn(rng));
+  const X = new Array(p);
+  for (let i = 0; i < p; i++) {
+    let val = mu[i];
+    for (let k = 0; k < L[0].length; k++) val += L[i][k] * zr[k];
+    val += Math.sqrt(Math.max(D[i], 1e-6)) * randn(rng);
+    X[i] = Math.max(0, val);
+  }
+  return X;
+}
+
+// Per-route overflow frequencies over M shared scenarios, plus P(any route overflows). With
+// ciWidth, stops once the 95 % interval of P(any) is that narrow (after at least minM);
+// onProgress gets { trials, estimate, lo, hi } every `every` scenarios.
+export function mcOverflowProb(inst, routeSeqs, C, M = 300, { ciWidth = null, minM = 100, every = 25, onProgress = null } = {}) {
+  const rng = makeRng(inst.seed, RNG_STREAMS.simulation);
+  const counts = routeSeqs.map(() => 0);
+  let any = 0, m = 0, ci = runningCi(0, 0);
+  while (m < M) {
+    const X = sampleCorrelated(inst, rng);
+    let hit = false;
+    routeSeqs.forEach((seq, ri) => {
+      let load = 0; for (let j of seq) load += X[j];
+      if (load > C) { counts[ri]++; hit = true; }
+    });
+    if (hit) any++;
+    m++;
+    if (m % every && m < M) continue;
+    ci = runningCi(any, m);
+    onProgress?.({ trials: m, estimate: ci.mean, lo: ci.lo, hi: ci.hi });
+    if (ciWidth != null && m >= minM && ci.width <= ciWidth) break;
+  }
+  const n = Math.max(1, m);
+  return { perRoute: counts.map(c => c / n), any: any / n, M: m, ci: [ci.lo, ci.hi] };
+}
+
+// -------------- Weekly risk budget --------------
+// Relative demand by weekday (Monday carries the weekend's fill)
+export const DAY_LOAD = [1.3, 0.9, 1.0, 0.95, 1.15, 0.85, 0.75];
+export const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Demand of one day: X·f has mean fμ, factors fL, idiosyncratic variance f²D and cap fb
+export function scaleInstance(inst, f) {
+  return { ...inst, mu: inst.mu.map(v => v * f), D: inst.D.map(v => v * f * f), L: inst.L.map(row => row.map(v => v * f)), b: inst.b.map(v => v * f) };
+}
+
+// Day instances of a week, Monday first
+export function weekInstances(inst, days) {
+  return Array.from({ length: days }, (_, d) => scaleInstance(inst, DAY_LOAD[d % 7]));
+}
+
+// Cheapest-insertion plan for one day from an empty fleet
+export function planDay(inst, cfg, trucks) {
+  const sol = { fleet: Array.from({ length: trucks }, () => makeRouteCaches(inst.p, inst.r)), unrouted: [] };
+  REPAIR.greedy(inst, sol, Array.from({ length: inst.p }, (_, i) => i), cfg);
+  return { sol, cost: solutionCost(inst, sol, cfg) };
+}
+
+// Joint weekly overflow: days are independent draws, a week fails if any route overflows on any day.
+// perRoute is the mean overflow frequency of a used route on one day.
+export function mcWeeklyOverflow(dayInsts, sols, C, M, rng) {
+  let weeks = 0, routeHits = 0;
+  const perDay = dayInsts.map(() => 0);
+  const routeDays = sols.reduce((a, sol) => a + sol.fleet.filter(c => c.seq.length).length, 0);
+  for (let m = 0; m < M; m++) {
+    let hit = false;
+    dayInsts.forEach((inst, d) => {
+      const X = sampleCorrelated(inst, rng);
+      const over = sols[d].fleet.filter(c => c.seq.length && c.seq.reduce((a, j) => a + X[j], 0) > C).length;
+      if (over) { perDay[d]++; hit = true; routeHits += over; }
+    });
+    if (hit) weeks++;
+  }
+  return { joint: weeks / M, perDay: perDay.map(v => v / M), perRoute: routeDays ? routeHits / (M * routeDays) : 0 };
+}
+
+// Split ϱ into `units` and hand them out one at a time to the day whose plan gets cheapest
+// from the extra risk (each day keeps ≥ 1 unit; a day's units are shared evenly by its K
+// routes, so Σ_{r,d} ε_{r,d} ≤ ϱ by Boole). Each day is then polished by ALNS at its ε.
+// While the Monte Carlo joint weekly overflow exceeds ϱ, the budget is scaled by 0.8 and the
+// week re-planned, until it holds (met: true) or every day is gated at minEps and it still
+// does not (met: false). onProgress gets { phase, done, total } as units are handed out and
+// as days are polished, with the round in the phase.
+export function planWeek(inst, cfg, { days, budget, trucks, units = 20, polishIters = 50, M = 300, minEps = 1e-4, onProgress = null }) {
+  const dayInsts = weekInstances(inst, days);
+  const nUnits = Math.max(units, days);
+  let scale = 1, result = null;
+  for (let round = 1; ; round++) {
+    const epsFor = u => Math.max(minEps, (u * scale * budget) / nUnits / trucks); // per-route ε of a day holding u units
+    const memo = new Map();
+    const plan = (d, u) => {
+      const key = `${d}:${u}`;
+      if (!memo.has(key)) memo.set(key, planDay(dayInsts[d], { ...cfg, eps: epsFor(u) }, trucks));
+      return memo.get(key);
+    };
+    const alloc = Array(days).fill(1);
+    for (let left = nUnits - days; left > 0; left--) {
+      let bestD = -1, bestSave = 1e-9;
+      for (let d = 0; d < days; d++) {
+        const save = plan(d, alloc[d]).cost.total - plan(d, alloc[d] + 1).cost.total;
+        if (save > bestSave) { bestSave = save; bestD = d; }
+      }
+      if (bestD < 0) break; // more risk buys nothing anywhere: leave it unspent
+      alloc[bestD]++;
+      onProgress?.({ phase: `round ${round}: allocation`, done: nUnits - days - left + 1, total: nUnits - days });
+    }
+    const plans = alloc.map((u, d) => {
+      const dcfg = { ...cfg, eps: epsFor(u) };
+      const start = plan(d, u).sol;
+      const sol = polishIters > 0
+        ? runAlnsSearch(dayInsts[d], start, dcfg, polishIters, makeRng(inst.seed, `${RNG_STREAMS.search}:day${d}`)).best
+        : start;
+      onProgress?.({ phase: `round ${round}: polish`, done: d + 1, total: days });
+      const routeEps = sol.fleet.map(c => c.seq.length
+        ? { allocated: dcfg.eps, used: requiredEps(c.mu, c.g.reduce((a, x) => a + x * x, 0) + c.sumD, c.bMax, cfg.C) }
+        : { allocated: dcfg.eps, used: 0 });
+      return { day: DAY_NAMES[d % 7], load: DAY_LOAD[d % 7], units: u, eps: dcfg.eps, sol, cost: solutionCost(dayInsts[d], sol, dcfg), routeEps };
+    });
+    const mc = mcWeeklyOverflow(dayInsts, plans.map(pl => pl.sol), cfg.C, M, makeRng(inst.seed, `${RNG_STREAMS.simulation}:week`));
+    const allocated = plans.reduce((a, pl) => a + pl.eps * trucks, 0);
+    const met = mc.joint <= budget && allocated <= budget + 1e-12;
+    result = { plans, mc, budget, allocated, met, round, scale, km: plans.reduce((a, pl) => a + pl.cost.km, 0) };
+    result.plans.forEach((pl, d) => { pl.mcDay = mc.perDay[d]; });
+    if (met || plans.every(pl => pl.eps <= minEps)) return result;
+    scale *= 0.8;
+  }
+}
+
+// Baseline week: every day planned and polished at the same cfg (gate, per-route ε), no budget
+// allocation. Same day instances, search streams and Monte Carlo stream as planWeek.
+export function planFixedWeek(inst, cfg, { days, trucks, polishIters = 50, M = 300 }) {
+  const dayInsts = weekInstances(inst, days);
+  const plans = dayInsts.map((dayInst, d) => {
+    const start = planDay(dayInst, cfg, trucks).sol;
+    const sol = polishIters > 0
+      ? runAlnsSearch(dayInst, start, cfg, polishIters, makeRng(inst.seed, `${RNG_STREAMS.search}:day${d}`)).best
+      : start;
+    return { day: DAY_NAMES[d % 7], load: DAY_LOAD[d % 7], eps: cfg.eps, sol, cost: solutionCost(dayInst, sol, cfg) };
+  });
+  const mc = mcWeeklyOverflow(dayInsts, plans.map(pl => pl.sol), cfg.C, M, makeRng(inst.seed, `${RNG_STREAMS.simulation}:week`));
+  plans.forEach((pl, d) => { pl.mcDay = mc.perDay[d]; });
+  return { plans, mc, km: plans.reduce((a, pl) => a + pl.cost.km, 0) };
+}
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+// ==========================================================
+// Q-Route+ command line
+//   node solver/cli.mjs solve <instance.csv|json> [more files] [options]   routes + KPIs as JSON / CSV
+//   node solver/cli.mjs pareto <instance.csv|json> [more files] [options]  distance / overflow / CO₂ front
+//   node solver/cli.mjs batch [options]                                    Det vs Ind-CC vs QRoute+ benchmark
+// Run with --help for the options. No dependencies beyond Node ≥ 18.
+// ==========================================================
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { basename, join } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  BOUND_TYPES, PLANNERS, genVehicles, importInstanceFiles, parseTravelMatrix, parseSpeedProfile, makeInstance, solveInstance, improveSolution,
+  simulateOverflowDetails, routeKm, routeThreshold, routeCost, isDisposal, makeRng, RNG_STREAMS, zQuantile, toCsv, solutionGeoJSON,
+  parseSensorReadings, executeDay, parseNumberList, paretoSweep,
+} from "./qroute.mjs";
+import { CORR_STRUCTURES, generateInstance, withTravel, planWeek, planFixedWeek, weekInstances, routeMinutes } from "./alns.mjs";
+
+const HELP = `Usage:
+  node solver/cli.mjs solve <files…> [options]
+    Instance files are the app's CSV / JSON import format (sites, depots, facilities, vehicles).
+    --vehicles N        fleet size when the files list no vehicles (default 3)
+    --capacity C        capacity of those vehicles (default 300)
+    --seed S            seed of the factor model, search and Monte Carlo streams (default 42)
+    --eps E             overflow risk ε of each load segment (default 0.05); a route with k
+                        disposal trips may overflow with up to k·ε
+    --bound B           ${Object.keys(BOUND_TYPES).join(" | ")} (default bernstein)
+    --corr M            rho | factor (default rho)
+    --planner P         ${Object.keys(PLANNERS).join(" | ")} (default qro)
+    --fill F            mean fill fraction of the margin planner (default 0.85)
+    --rho R  --rank K  --share F  --b-mult B       correlation and Bernstein cap settings
+    --speed KMH         travel speed (default 30)
+    --skip-penalty EUR  penalty of a skipped site without its own (default 150)
+    --overflow-cost EUR cost of one expected overflowing truck in the objective (default 40)
+    --risk-scaled       scale penalties by P(bin overflows by tomorrow)
+    --matrix FILE       road matrix (OSRM table JSON, JSON or CSV, as in the app)
+    --profile TEXT      time-of-day speed factors, e.g. "0-90:1.5; 420-480:1.3"
+    --two-opt           polish routes with 2-opt
+    --optimize SEC      then improve the plan by ruin and recreate for SEC seconds
+    --trials N          Monte Carlo trials (default 1000, 0 = skip)
+    --ci W              stop Monte Carlo early once the 95 % interval of P(any route overflows) is W wide
+    --execute           run the plan through one simulated day with fill sensors and re-planning
+    --readings FILE     sensor readings (CSV / JSON: time, id, mu[, sigma]) instead of simulated ones
+    --sensors F  --every MIN   share of sites with a sensor and minutes between readings (0.5, 60)
+    --format F          json | csv | geojson (default json)
+    --out FILE          write to FILE instead of stdout
+
+  node solver/cli.mjs pareto <files…> [options]
+    Solves every combination of ε, bound type and fleet size and scores the plans on the same
+    simulated days; points on the non-dominated front over distance, overflow days, CO₂ and
+    skipped sites are flagged. Takes the instance options of solve, with lists where noted.
+    --eps LIST          ε values (default "0.01, 0.02, 0.05, 0.1, 0.2")
+    --bound LIST        bound types, comma separated (default bernstein,normal,cantelli)
+    --vehicles LIST     fleet sizes; trucks beyond the files' fleet copy its last one
+                        (default: the files' fleet, else 3)
+    --two-opt           polish routes with 2-opt
+    --trials N          simulated days (default 500)
+    --format F          json | csv (default json)
+    --out FILE          write to FILE instead of stdout
+
+  node solver/cli.mjs batch [options]
+    Regenerates the instance table and the median summary comparing Det (mean load ≤ C),
+    Ind-CC (Normal chance constraint, correlation ignored), QRoute+ (Bernstein gate) at the
+    instance's ε target, and QRoute+Budget (Bernstein gate, ε allocated from the weekly
+    budget), all on the same objective, each value with a 95 % confidence interval over
+    replications.
+    --instances N       number of generated instances (default 30)
+    --reps R            replications per instance and method (default 5)
+    --days D            days per week (default 5)
+    --iters N           ALNS polish iterations per day (default 50)
+    --trials M          Monte Carlo weeks (default 300)
+    --seed S            batch seed (default 1)
+    --out DIR           output directory for instances.csv and aggregate.csv (default .)
+`;
+
+// -------------- Shared helpers --------------
+function fail(msg) {
+  process.stderr.write(`${msg}\n`);
+  process.exit(1);
+}
+
+function num(v, name) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) fail(`--${name} must be a number (got "${v}")`);
+  return n;
+}
+
+function emit(text, out) {
+  if (out) writeFileSync(out, text);
+  else process.stdout.write(text);
+}
+
+const round = (v, d = 3) => (v == null || !Number.isFinite(v) ? v : Number(v.toFixed(d)));
+
+// -------------- solve --------------
+function stopLabel(inst, route, idx, k) {
+  if (isDisposal(idx)) return `F${-idx - 1}`;
+  if (k === 0) return `D${route.vehicle.startDepot ?? 0}`;
+  if (k === route.nodes.length - 1) return `D${route.vehicle.endDepot ?? 0}`;
+  return String(idx);
+}
+
+function read(f) {
+  try { return { name: basename(f), text: readFileSync(f, "utf8") }; } catch (err) { return fail(`${f}: ${err.message}`); }
+}
+
+// Instance files and options → { res (importInstanceFiles), params (makeInstance arguments
+// without eps and boundType) }. `nVeh` trucks of --capacity when the files list no vehicles.
+function readInstance(command, files, o, nVeh) {
+  if (!files.length) fail(`${command}: give at least one instance file (see --help)`);
+  const res = importInstanceFiles(files.map(read));
+  if (res.errors.length) fail(res.errors.map(e => `${e.file}:${e.row}: ${e.message}`).join("\n"));
+
+  let travelMatrix = null;
+  if (o.matrix) {
+    const { name, text } = read(o.matrix);
+    const m = parseTravelMatrix(name, text);
+    if (m.errors.length) fail(m.errors.map(e => `${e.file}:${e.row}: ${e.message}`).join("\n"));
+    travelMatrix = m.matrix;
+  }
+  const speed = o.profile ? parseSpeedProfile(o.profile) : { profile: travelMatrix?.profile ?? null, error: null };
+  if (speed.error) fail(`--profile: ${speed.error}`);
+  if (!(o.planner in PLANNERS)) fail(`--planner must be one of ${Object.keys(PLANNERS).join(", ")}`);
+
+  const params = {
+    sites: res.sites, depots: res.depots, facilities: res.facilities,
+    vehicles: res.vehicles ?? genVehicles(nVeh, num(o.capacity, "capacity")),
+    seed: num(o.seed, "seed"), corrModel: o.corr,
+    rho: num(o.rho, "rho"), factorRank: num(o.rank, "rank"), factorShare: num(o.share, "share"), bMult: num(o["b-mult"], "b-mult"),
+    speedKmh: num(o.speed, "speed"), skipPenalty: num(o["skip-penalty"], "skip-penalty"),
+    overflowCost: num(o["overflow-cost"], "overflow-cost"), riskScaled: o["risk-scaled"],
+    planner: o.planner, marginFill: num(o.fill, "fill"), travelMatrix, speedProfile: speed.profile,
+  };
+  return { res, params };
+}
+
+function runSolve(files, o) {
+  if (!(o.bound in BOUND_TYPES)) fail(`--bound must be one of ${Object.keys(BOUND_TYPES).join(", ")}`);
+  const { res, params } = readInstance("solve", files, o, num(o.vehicles, "vehicles"));
+  const inst = makeInstance({ ...params, eps: num(o.eps, "eps"), boundType: o.bound });
+  let sol = solveInstance(inst, undefined, { twoOpt: o["two-opt"] });
+  if (o.optimize) sol = improveSolution(inst, sol, undefined, { budgetMs: 1000 * num(o.optimize, "optimize") });
+  const trials = num(o.trials, "trials");
+  const mc = trials > 0 ? simulateOverflowDetails(inst, sol.routes, trials, { ciWidth: o.ci ? num(o.ci, "ci") : null }) : null;
+
+  const routes = sol.routes.map((r, ri) => ({
+    vehicle: r.vehicle.id,
+    stops: r.nodes.map((idx, k) => stopLabel(inst, r, idx, k)),
+    arrival: r.arrival.map(t => round(t, 1)),
+    sites: r.members.size,
+    km: round(routeKm(inst, r)),
+    minutes: round(r.arrival[r.arrival.length - 1] - r.vehicle.start, 1),
+    costEur: round(routeCost(inst, r), 2),
+    expectedLoad: round(r.muSum, 1),
+    threshold: round(routeThreshold(inst, r), 1),
+    capacity: r.vehicle.capacity,
+    ...(mc && {
+      overflow: mc.details[ri].rate, late: mc.details[ri].lateRate, overtime: mc.details[ri].overtimeRate,
+      finishP90: round(mc.details[ri].finishQ[1], 1),
+    }),
+  }));
+  const { routes: _r, skips, skipped, ...kpis } = sol;
+  const costEur = sol.objective;
+  const summary = { ...kpis, costEur: round(costEur, 2), skipped: skipped.length, ...(mc && { mcOverflow: mc.overall, mcAnyOverflow: mc.any, mcTrials: mc.trials, mcAnyCi: mc.ci.map(v => round(v, 4)) }) };
+
+  let execution = null;
+  if (o.execute || o.readings) {
+    let readings = null;
+    if (o.readings) {
+      const { name, text } = read(o.readings);
+      const r = parseSensorReadings(name, text);
+      if (r.errors.length) fail(r.errors.map(e => `${e.file}:${e.row}: ${e.message}`).join("\n"));
+      readings = r.readings;
+    }
+    const ex = executeDay(inst, sol, { readings, lastIsTruth: !!readings, share: num(o.sensors, "sensors"), every: num(o.every, "every") });
+    const plan = p => ({ km: round(p.km), spill: round(p.spill, 1), overflowStops: p.overflows.length, overflowTrucks: p.trucks, served: p.served, skipped: p.skipped });
+    const side = s => ({ planKm: round(s.planKm), km: round(s.km), spill: round(s.spill, 1), risk: round(s.risk) });
+    execution = {
+      source: ex.source, readings: ex.readings, ignored: ex.ignored, replans: ex.replans,
+      static: plan(ex.static), adaptive: plan(ex.adaptive),
+      timeline: ex.timeline.map(p => ({ t: p.t, static: side(p.static), adaptive: side(p.adaptive) })),
+    };
+  }
+
+  if (o.format === "geojson") {
+    emit(JSON.stringify(solutionGeoJSON(inst, sol, { geo: res.geo, details: mc?.details })) + "\n", o.out);
+  } else if (o.format === "csv") {
+    const header = ["vehicle", "stops", "sites", "km", "minutes", "cost_eur", "expected_load", "threshold", "capacity", "overflow", "late", "overtime", "skipped"];
+    const rows = routes.map(r => [r.vehicle, r.stops.join(" "), r.sites, r.km, r.minutes, r.costEur, r.expectedLoad, r.threshold, r.capacity, r.overflow, r.late, r.overtime, ""]);
+    rows.push(["total", "", sol.visitedSites, round(sol.km), round(sol.minutes, 1), round(costEur, 2), "", "", "", round(mc?.overall), "", "", skipped.length]);
+    emit(toCsv(header, rows), o.out);
+  } else {
+    const params = { files: files.map(f => basename(f)), seed: inst.seed, eps: inst.eps, boundType: inst.boundType, planner: inst.planner, corrModel: inst.corrModel, travel: inst.travel.name };
+    emit(JSON.stringify({ params, kpis: summary, routes, skipped: skips, ...(execution && { execution }) }, null, 2) + "\n", o.out);
+  }
+}
+
+// -------------- pareto --------------
+function runPareto(files, o) {
+  const list = (v, name) => {
+    const xs = parseNumberList(v);
+    if (!xs.length) fail(`--${name} must list at least one number (got "${v}")`);
+    return xs;
+  };
+  const eps = list(o.eps, "eps");
+  if (eps.some(e => !(e > 0 && e < 1))) fail("--eps values must lie between 0 and 1");
+  const boundTypes = o.bound.split(",").map(b => b.trim()).filter(Boolean);
+  if (!boundTypes.length || boundTypes.some(b => !(b in BOUND_TYPES))) fail(`--bound must list some of ${Object.keys(BOUND_TYPES).join(", ")}`);
+  const { params } = readInstance("pareto", files, o, 3);
+  const fleetSizes = o.vehicles ? list(o.vehicles, "vehicles") : [params.vehicles.length];
+  if (fleetSizes.some(k => !(Number.isInteger(k) && k >= 1))) fail("--vehicles values must be whole numbers ≥ 1");
+
+  const points = paretoSweep(params, undefined, { eps, boundTypes, fleetSizes, twoOpt: o["two-opt"], trials: Math.max(1, num(o.trials, "trials")) })
+    .map(({ solution, ...p }) => ({ ...p, km: round(p.km), co2: round(p.co2, 1), overflow: round(p.overflow, 4), cost: round(p.cost, 2) }));
+  if (o.format === "csv") {
+    const header = ["eps", "bound", "vehicles", "km", "co2_kg", "overflow_days", "skipped", "cost_eur", "front"];
+    emit(toCsv(header, points.map(p => [p.eps, p.boundType, p.fleet, p.km, p.co2, p.overflow, p.skipped, p.cost, p.front ? 1 : 0])), o.out);
+  } else {
+    const meta = { files: files.map(f => basename(f)), seed: params.seed, planner: params.planner, trials: num(o.trials, "trials"), front: points.filter(p => p.front).length };
+    emit(JSON.stringify({ params: meta, points }, null, 2) + "\n", o.out);
+  }
+}
+
+// -------------- batch --------------
+const CORR_LABELS = { "low-rank": "Low-rank", sparse: "Sparse", block: "Block", mixed: "Mixed" };
+// table column prefix and summary row label of each method
+// Every method prices km, skip penalties and overflow risk alike and gates at the instance's ε
+// (Det ignores it); only QRoute+Budget re-allocates ε over days from the weekly budget.
+const METHODS = [
+  { key: "Det", label: "Det", gate: "det" },
+  { key: "Ind-CC", label: "Ind-CC", gate: "indep" },
+  { key: "QRoute+", label: "Q-Route+ (ours)", gate: "qro" },
+  { key: "QRoute+Budget", label: "Q-Route+ with weekly budget (ours)", gate: "qro", budget: true },
+];
+
+// Benchmark instance i: size, fleet, correlation structure and risk settings come from the
+// batch seed; capacity fills about 80 % of the fleet on an average day.
+function benchmarkCase(seed, i) {
+  const rng = makeRng(seed, `${RNG_STREAMS.instance}:batch${i}`);
+  const p = 80 + Math.floor(rng() * 161);
+  const trucks = Math.max(2, Math.round(p / (12 + 8 * rng())));
+  const corr = CORR_STRUCTURES[Math.floor(rng() * CORR_STRUCTURES.length)];
+  const r = 4 + Math.floor(rng() * 9);
+  const surge = 0.4 + 1.6 * rng();
+  const eps = 0.04 + 0.01 * rng();
+  const budget = 0.2 + 0.05 * rng();
+  const inst = generateInstance({ p, r, surge, corr, meanMin: 6, meanMax: 22, dMin: 1.2, dMax: 6.5, twWidth: 180, gridSize: 1000, seed: Math.floor(rng() * 2 ** 31) });
+  const C = Math.ceil(inst.mu.reduce((a, v) => a + v, 0) / (0.8 * trucks));
+  return { name: `I${String(i).padStart(2, "0")}`, p, trucks, C, corr, surge, eps, budget, inst };
+}
+
+// One replication of one method: the weekly plan's distance, driver hours, Monte Carlo overflow,
+// skipped site-days and the mean per-route ε its days were gated at.
+function runMethod(c, method, rep, o) {
+  const inst = withTravel({ ...c.inst, seed: (c.inst.seed + 104729 * rep) >>> 0 }, null, 35); // fresh search and Monte Carlo streams
+  const cfg = { C: c.C, eps: c.eps, depot: inst.depot, skipPenalty: 35, overflowCost: 40, riskScaled: false, gate: method.gate };
+  const opts = { days: o.days, trucks: c.trucks, polishIters: o.iters, M: o.trials };
+  const week = method.budget ? planWeek(inst, cfg, { ...opts, budget: c.budget }) : planFixedWeek(inst, cfg, opts);
+  const dayInsts = weekInstances(inst, o.days);
+  const minutes = week.plans.reduce((a, pl, d) => a + pl.sol.fleet.reduce((b, rt) => b + routeMinutes(dayInsts[d], rt.seq, cfg.depot), 0), 0);
+  return {
+    km: week.km, hours: minutes / 60, perRoute: week.mc.perRoute, weekly: week.mc.joint,
+    skipped: week.plans.reduce((a, pl) => a + pl.sol.unrouted.length, 0),
+    eps: week.plans.reduce((a, pl) => a + pl.eps, 0) / week.plans.length,
+  };
+}
+
+const RATES = ["perRoute", "weekly"];
+
+// Two-sided 95 % Student t quantile: table up to 9 degrees of freedom, Cornish–Fisher beyond
+const T975 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262];
+function t975(df) {
+  if (df <= T975.length) return T975[df - 1];
+  const z = zQuantile(0.025);
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df * df);
+}
+
+// Mean with its 95 % interval, clipped to the metric's range [0, max]
+function meanCi(xs, max = Infinity) {
+  const n = xs.length, mean = xs.reduce((a, v) => a + v, 0) / n;
+  if (n < 2) return { mean, lo: mean, hi: mean };
+  const sd = Math.sqrt(xs.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1));
+  const h = (t975(n - 1) * sd) / Math.sqrt(n);
+  return { mean, lo: Math.max(0, mean - h), hi: Math.min(max, mean + h) };
+}
+
+function median(xs) {
+  const s = xs.slice().sort((a, b) => a - b), m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+const fmtCi = ({ mean, lo, hi }) => `${mean.toFixed(2)} [${lo.toFixed(2)}, ${hi.toFixed(2)}]`;
+const fmtEps = ({ mean, lo, hi }) => `${mean.toFixed(4)} [${lo.toFixed(4)}, ${hi.toFixed(4)}]`;
+
+function runBatch(o) {
+  const n = num(o.instances, "instances"), reps = Math.max(1, num(o.reps, "reps"));
+  const cfg = { days: Math.max(1, Math.min(7, num(o.days, "days"))), iters: num(o.iters, "iters"), trials: num(o.trials, "trials") };
+  const seed = num(o.seed, "seed");
+  const metrics = ["km", "hours", ...RATES, "skipped", "eps"];
+  const budgeted = METHODS.filter(m => m.budget);
+  const rows = [], perInstance = [];
+  for (let i = 1; i <= n; i++) {
+    const c = benchmarkCase(seed, i);
+    const t0 = Date.now();
+    const stats = {};
+    for (const method of METHODS) {
+      const runs = Array.from({ length: reps }, (_, rep) => runMethod(c, method, rep, cfg));
+      stats[method.key] = Object.fromEntries(metrics.map(m => [m, meanCi(runs.map(x => x[m]), RATES.includes(m) ? 1 : Infinity)]));
+    }
+    perInstance.push(stats);
+    rows.push([
+      c.name, c.p, c.trucks, c.C, CORR_LABELS[c.corr], c.surge.toFixed(3), c.eps.toFixed(3), c.budget.toFixed(3),
+      ...budgeted.map(({ key }) => fmtEps(stats[key].eps)),
+      ...METHODS.flatMap(({ key }) => [fmtCi(stats[key].km), fmtCi(stats[key].hours)]),
+      ...["perRoute", "weekly", "skipped"].flatMap(m => METHODS.map(({ key }) => fmtCi(stats[key][m]))),
+    ]);
+    process.stderr.write(`${c.name}: ${c.p} sites, ${c.trucks} trucks, ${CORR_LABELS[c.corr]} (${((Date.now() - t0) / 1000).toFixed(1)} s)\n`);
+  }
+  const header = [
+    "Instance", "Sites", "Trucks", "Capacity", "Corr", "Surge", "EpsTarget", "Budget",
+    ...budgeted.map(({ key }) => `${key} Eps`),
+    ...METHODS.flatMap(({ key }) => [`${key} Distance`, `${key} Hours`]),
+    ...["PerRouteOvfl", "WeeklyOvfl", "Skipped"].flatMap(m => METHODS.map(({ key }) => `${key} ${m}`)),
+  ];
+  const med = (key, m) => median(perInstance.map(st => st[key][m].mean));
+  const summary = METHODS.map(({ key, label }) => [
+    label, med(key, "km").toFixed(1), med(key, "hours").toFixed(1), med(key, "perRoute").toFixed(3), med(key, "weekly").toFixed(2), med(key, "skipped").toFixed(1),
+  ]);
+  mkdirSync(o.out, { recursive: true });
+  writeFileSync(join(o.out, "instances.csv"), toCsv(header, rows));
+  writeFileSync(join(o.out, "aggregate.csv"), toCsv(["Method", "Distance (km)", "Driver Hours (h)", "Per-Route Overflow", "Weekly Joint Overflow", "Skipped Site-Days"], summary));
+  process.stderr.write(`wrote ${join(o.out, "instances.csv")} and ${join(o.out, "aggregate.csv")}\n`);
+}
+
+// -------------- main --------------
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    help: { type: "boolean", short: "h" },
+    vehicles: { type: "string" },
+    capacity: { type: "string", default: "300" },
+    seed: { type: "string" },
+    eps: { type: "string" },
+    bound: { type: "string" },
+    corr: { type: "string", default: "rho" },
+    planner: { type: "string", default: "qro" },
+    fill: { type: "string", default: "0.85" },
+    rho: { type: "string", default: "0" },
+    rank: { type: "string", default: "3" },
+    share: { type: "string", default: "0.5" },
+    "b-mult": { type: "string", default: "1.5" },
+    speed: { type: "string", default: "30" },
+    "skip-penalty": { type: "string", default: "150" },
+    "overflow-cost": { type: "string", default: "40" },
+    "risk-scaled": { type: "boolean", default: false },
+    matrix: { type: "string" },
+    profile: { type: "string" },
+    "two-opt": { type: "boolean", default: false },
+    optimize: { type: "string" },
+    trials: { type: "string" },
+    ci: { type: "string" },
+    execute: { type: "boolean", default: false },
+    readings: { type: "string" },
+    sensors: { type: "string", default: "0.5" },
+    every: { type: "string", default: "60" },
+    format: { type: "string", default: "json" },
+    out: { type: "string" },
+    instances: { type: "string", default: "30" },
+    reps: { type: "string", default: "5" },
+    days: { type: "string", default: "5" },
+    iters: { type: "string", default: "50" },
+  },
+});
+const [command, ...files] = positionals;
+if (opts.help || !command) process.stdout.write(HELP);
+else if (command === "solve") runSolve(files, { ...opts, seed: opts.seed ?? "42", trials: opts.trials ?? "1000", vehicles: opts.vehicles ?? "3", eps: opts.eps ?? "0.05", bound: opts.bound ?? "bernstein" });
+else if (command === "pareto") runPareto(files, { ...opts, seed: opts.seed ?? "42", trials: opts.trials ?? "500", eps: opts.eps ?? "0.01, 0.02, 0.05, 0.1, 0.2", bound: opts.bound ?? "bernstein,normal,cantelli" });
+else if (command === "batch") runBatch({ ...opts, seed: opts.seed ?? "1", trials: opts.trials ?? "300", out: opts.out ?? "." });
+else fail(`unknown command "${command}" (expected solve, pareto or batch; see --help)`);
@@ -0,0 +1,2064 @@
+// ==========================================================
+// Q-Route+ solver (headless ES module, no React)
+// - Instance generation and CSV / JSON import
+// - Travel providers (straight lines or road matrix, speed profiles)
+// - QRO bounds, greedy insertion, 2-opt and skip / unskip moves
+// - Periodic horizon planning and Monte Carlo evaluation
+// Shared by index.html and solver/cli.mjs; solver/alns.mjs builds on its RNG and math helpers.
+// ==========================================================
+
+
+export const CANVAS_W = 1000;
+export const CANVAS_H = 700;
+export const SCALE_KM = 0.06; // each canvas unit ~0.06 km (tweak to get reasonable minutes)
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// ---------- Seeded RNG ----------
+// Every stochastic path draws from one of these streams so a (seed, params) pair
+// reproduces the same instance, routes and Monte Carlo numbers.
+export const RNG_STREAMS = { instance: "instance", search: "search", simulation: "simulation" };
+
+function mulberry32(a) {
+  return function() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(str) {
+  // FNV-1a, used to derive independent stream seeds
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+
+export function makeRng(seed, stream) {
+  return mulberry32(hashString(`${seed >>> 0}:${stream}`));
+}
+
+// ---------- Utilities ----------
+export function randBetween(a, b, rng) { return a + rng() * (b - a); }
+export function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
+export function dist(a, b) {
+  const dx = a.x - b.x; const dy = a.y - b.y; return Math.hypot(dx, dy);
+}
+
+export function gaussian(rng) {
+  // Box-Muller
+  let u = 0, v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// Lognormal draw with the given mean and coefficient of variation (cv 0 → the mean itself)
+export function lognormal(mean, cv, rng) {
+  if (!(cv > 0) || !(mean > 0)) return mean;
+  const s2 = Math.log(1 + cv*cv);
+  return mean * Math.exp(Math.sqrt(s2) * gaussian(rng) - s2/2);
+}
+
+export function normalCdf(x) {
+  // erf via Abramowitz–Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const y = 1 - (((((1.061405429*t - 1.453152027)*t) + 1.421413741)*t - 0.284496736)*t + 0.254829592) * t * Math.exp(-x*x/2);
+  return x >= 0 ? 0.5 * (1 + y) : 0.5 * (1 - y);
+}
+export function normalPdf(x) { return Math.exp(-x*x/2) / Math.sqrt(2*Math.PI); }
+
+// Inverse standard normal CDF (Acklam's rational approximation, |rel. error| < 1.2e-9)
+export function inverseNormalCdf(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const pLow = 0.02425;
+  p = clamp(p, 1e-12, 1 - 1e-12);
+  if (p < pLow) {
+    const q = Math.sqrt(-2*Math.log(p));
+    return (((((c[0]*q+c[1])*q+c[2])*q+c[3])*q+c[4])*q+c[5]) / ((((d[0]*q+d[1])*q+d[2])*q+d[3])*q+1);
+  }
+  if (p > 1 - pLow) return -inverseNormalCdf(1 - p);
+  const q = p - 0.5, r = q*q;
+  return (((((a[0]*r+a[1])*r+a[2])*r+a[3])*r+a[4])*r+a[5])*q / (((((b[0]*r+b[1])*r+b[2])*r+b[3])*r+b[4])*r+1);
+}
+
+export function zQuantile(eps) {
+  // return z_{1-eps}
+  return inverseNormalCdf(1 - eps);
+}
+
+// ---------- Data generation ----------
+export function genSites(n, withTW=true, seed=0) {
+  const rng = makeRng(seed, RNG_STREAMS.instance);
+  const sites = [];
+  for (let i = 0; i < n; i++) {
+    const x = randBetween(60, CANVAS_W - 60, rng);
+    const y = randBetween(60, CANVAS_H - 60, rng);
+    const mu = randBetween(50, 150, rng); // liters
+    const sigma = randBetween(0.15, 0.4, rng) * mu; // 15-40% CV
+    const service = randBetween(4, 10, rng); // minutes
+    let e = 0, l = 480; // default window: all day
+    if (withTW) {
+      const start = Math.floor(randBetween(0, 240, rng));
+      const len = Math.floor(randBetween(150, 300, rng));
+      e = start; l = clamp(start + len, start + 60, 480);
+    }
+    sites.push({ id: i + 1, x, y, mu, sigma, e, l, service, selected: true });
+  }
+  // visit rules from their own stream so adding them did not move any earlier draw
+  const vrng = makeRng(seed, `${RNG_STREAMS.instance}:visits`);
+  for (const s of sites) {
+    s.H = s.mu > 120 ? 1 : 1 + Math.floor(vrng() * 3); // max days between emptyings
+    if (s.H >= 2 && vrng() < 0.2) { s.pattern = [0, 2, 4]; s.H = 3; } // Mon / Wed / Fri, bridging the weekend
+  }
+  const brng = makeRng(seed, `${RNG_STREAMS.instance}:bins`);
+  for (const s of sites) s.V = s.mu * (1.8 + brng()); // bin volume: 1.8–2.8 days of mean fill
+  return sites;
+}
+
+// Per-vehicle defaults: yards are indices into inst.depots, costs in €, emission null → global factor
+export const VEHICLE_DEFAULTS = { startDepot: 0, endDepot: 0, fixedCost: 50, costPerKm: 1.5, emission: null };
+
+export function genVehicles(k, capacity=300, shift=[0,480]) {
+  return Array.from({length:k}, (_,i)=>({ id:i, capacity, start: shift[0], end: shift[1], ...VEHICLE_DEFAULTS }));
+}
+
+// ---------- Instance import (CSV / JSON) ----------
+// Header / key aliases (case-insensitive). Coordinates are either canvas units (x, y;
+// one unit = SCALE_KM km) or lat/lon, which are projected onto the canvas.
+const IMPORT_ALIASES = {
+  id: ["id", "site", "site_id", "siteid"],
+  type: ["type", "kind"],
+  x: ["x"], y: ["y"],
+  lat: ["lat", "latitude"], lon: ["lon", "lng", "long", "longitude"],
+  mu: ["mu", "mean", "fill_mean", "demand"],
+  sigma: ["sigma", "sd", "std", "stdev", "fill_sd"],
+  variance: ["var", "variance", "fill_var"],
+  b: ["b", "b_cap", "dev_cap"],
+  loadings: ["loadings", "factors"],
+  H: ["h", "max_gap", "maxgap", "gap"],
+  V: ["v", "bin", "bin_volume", "volume"],
+  penalty: ["penalty", "skip_penalty", "p"],
+  pin: ["pin", "pin_vehicle", "pinned_to"],
+  freq: ["freq", "frequency", "visits"],
+  pattern: ["pattern", "days", "allowed_days"],
+  service: ["service", "service_min", "service_time", "unload", "unload_min"],
+  e: ["e", "tw_start", "open", "earliest"],
+  l: ["l", "tw_end", "close", "latest"],
+  capacity: ["capacity", "cap"],
+  start: ["start", "shift_start"],
+  end: ["end", "shift_end"],
+  startDepot: ["start_depot", "start_yard", "from_depot"],
+  endDepot: ["end_depot", "end_yard", "to_depot"],
+  fixedCost: ["fixed_cost", "fixed"],
+  costPerKm: ["cost_per_km", "cost_km", "km_cost"],
+  emission: ["emission", "emission_per_km", "co2_per_km"],
+};
+const IMPORT_DEFAULTS = { service: 5, e: 0, l: 480, start: 0, end: 480 };
+
+function parseCsv(text) {
+  // Quoted fields with "" escapes, LF or CRLF line ends. Returns [{ line, cells }], blank lines dropped.
+  const rows = [];
+  let row = [], field = "", inQuotes = false, line = 1, rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"') { if (text[i+1] === '"') { field += '"'; i++; } else inQuotes = false; }
+      else { if (c === "\n") line++; field += c; }
+    } else if (c === '"') inQuotes = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i+1] === "\n") i++;
+      row.push(field); rows.push({ line: rowLine, cells: row });
+      row = []; field = ""; line++; rowLine = line;
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push({ line: rowLine, cells: row }); }
+  return rows.filter(r => r.cells.some(v => v.trim() !== ""));
+}
+
+function canonicalRecord(raw) {
+  const out = {};
+  for (const [k, v] of Object.entries(raw)) {
+    const key = String(k).trim().toLowerCase();
+    for (const [canon, names] of Object.entries(IMPORT_ALIASES)) {
+      if (names.includes(key)) { out[canon] = v; break; }
+    }
+  }
+  return out;
+}
+
+function numField(rec, key, problems, { required=false, min=-Infinity, fallback } = {}) {
+  const v = rec[key];
+  if (v === undefined || v === null || String(v).trim() === "") {
+    if (required) problems.push(`missing ${key}`);
+    return fallback;
+  }
+  const n = Number(v);
+  if (!Number.isFinite(n)) { problems.push(`${key} is not a number ("${v}")`); return fallback; }
+  if (n < min) { problems.push(`${key} must be ≥ ${min} (got ${n})`); return fallback; }
+  return n;
+}
+
+function recordKind(rec) {
+  const t = String(rec.type ?? "").trim().toLowerCase();
+  if (t === "site" || t === "depot" || t === "vehicle") return t;
+  if (["facility", "disposal", "landfill", "transfer"].includes(t)) return "facility";
+  if (t) return null;
+  const hasPos = rec.x !== undefined || rec.lat !== undefined;
+  return (rec.capacity !== undefined && !hasPos) ? "vehicle" : "site";
+}
+
+// Raw file → [{ file, row, rec, kind }]; rec already canonicalised. A JSON object may also
+// carry the run it was exported from (seed, params, excluded ids, travel matrix, geo frame).
+function readInstanceFile(name, text) {
+  const records = [], errors = [];
+  let run = null;
+  const isJson = /\.json$/i.test(name) || /^\s*[\[{]/.test(text);
+  if (isJson) {
+    let data;
+    try { data = JSON.parse(text); }
+    catch (err) { errors.push({ file: name, row: "-", message: `invalid JSON: ${err.message}` }); return { records, errors }; }
+    const push = (obj, row, kind) => {
+      if (!obj || typeof obj !== "object") { errors.push({ file: name, row, message: "expected an object" }); return; }
+      const rec = canonicalRecord(obj);
+      records.push({ file: name, row, rec, kind: kind ?? recordKind(rec) });
+    };
+    if (Array.isArray(data)) data.forEach((o, i) => push(o, `[${i}]`));
+    else {
+      (data.sites ?? []).forEach((o, i) => push(o, `sites[${i}]`, "site"));
+      (data.vehicles ?? []).forEach((o, i) => push(o, `vehicles[${i}]`, "vehicle"));
+      if (data.depot) push(data.depot, "depot", "depot");
+      (data.depots ?? []).forEach((o, i) => push(o, `depots[${i}]`, "depot"));
+      (data.facilities ?? []).forEach((o, i) => push(o, `facilities[${i}]`, "facility"));
+      if (!Array.isArray(data.sites) && !Array.isArray(data.vehicles) && !data.depot && !Array.isArray(data.depots)) {
+        errors.push({ file: name, row: "-", message: "expected a \"sites\", \"vehicles\", \"depot\" or \"depots\" key" });
+      }
+      if (["seed", "params", "excluded", "travelMatrix", "geo"].some(k => data[k] != null)) run = readRun(name, data, errors);
+    }
+  } else {
+    const rows = parseCsv(text);
+    if (rows.length < 2) { errors.push({ file: name, row: "-", message: "CSV needs a header row and at least one data row" }); return { records, errors }; }
+    const header = rows[0].cells.map(h => h.trim());
+    for (const { line, cells } of rows.slice(1)) {
+      if (cells.length !== header.length) {
+        errors.push({ file: name, row: line, message: `expected ${header.length} columns, got ${cells.length}` });
+        continue;
+      }
+      const raw = {}; header.forEach((h, i) => { raw[h] = cells[i].trim(); });
+      const rec = canonicalRecord(raw);
+      records.push({ file: name, row: line, rec, kind: recordKind(rec) });
+    }
+  }
+  return { records, errors, run };
+}
+
+// The run block of an exported instance (see instanceDocument); site ids are checked later
+function readRun(name, data, errors) {
+  const bad = message => errors.push({ file: name, row: "-", message });
+  const run = { file: name, seed: null, params: {}, excluded: [], travelMatrix: null, geo: null };
+  if (data.seed != null) {
+    if (Number.isInteger(data.seed) && data.seed >= 0) run.seed = data.seed;
+    else bad(`seed must be a whole number ≥ 0 (got ${JSON.stringify(data.seed)})`);
+  }
+  if (data.params != null) {
+    if (typeof data.params === "object" && !Array.isArray(data.params)) run.params = data.params;
+    else bad("params must be an object");
+  }
+  if (data.excluded != null) {
+    if (Array.isArray(data.excluded) && data.excluded.every(Number.isInteger)) run.excluded = data.excluded;
+    else bad("excluded must be a list of site ids");
+  }
+  if (data.travelMatrix != null) {
+    const m = parseTravelMatrix(`${name}#travelMatrix`, JSON.stringify(data.travelMatrix));
+    errors.push(...m.errors);
+    run.travelMatrix = m.matrix;
+  }
+  if (data.geo != null) {
+    if (["lat0", "lon0", "x0", "y0"].every(k => Number.isFinite(data.geo[k]))) run.geo = { lat0: data.geo.lat0, lon0: data.geo.lon0, x0: data.geo.x0, y0: data.geo.y0 };
+    else bad("geo must have numeric lat0, lon0, x0 and y0");
+  }
+  return run;
+}
+
+// "Mon;Wed;Fri", ["Tue", 4] or ISO numbers 1–7 → sorted weekday indices (0 = Mon), or null if unreadable
+export function parsePattern(v) {
+  const parts = (Array.isArray(v) ? v : String(v).split(/[;|\s]+/)).map(x => String(x).trim()).filter(Boolean);
+  const days = new Set();
+  for (const part of parts) {
+    const byName = WEEKDAYS.findIndex(w => w.toLowerCase() === part.slice(0, 3).toLowerCase());
+    const n = Number(part);
+    if (byName >= 0 && part.length >= 3) days.add(byName);
+    else if (Number.isInteger(n) && n >= 1 && n <= 7) days.add(n - 1);
+    else return null;
+  }
+  return days.size ? [...days].sort((a, b) => a - b) : null;
+}
+
+// Geo frame { lat0, lon0, x0, y0 }: canvas point (x0, y0) sits at (lat0, lon0), equirectangular
+// around it. Generated instances have none; exports then place them around 0° N 0° E.
+export const DEFAULT_GEO = { lat0: 0, lon0: 0, x0: CANVAS_W/2, y0: CANVAS_H/2 };
+function geoScale(geo) { return { kx: 111.32 * Math.cos(geo.lat0 * Math.PI / 180), ky: 110.574 }; }
+export function toLatLon(p, geo=DEFAULT_GEO) {
+  const { kx, ky } = geoScale(geo);
+  return { lat: geo.lat0 - (p.y - geo.y0) * SCALE_KM / ky, lon: geo.lon0 + (p.x - geo.x0) * SCALE_KM / kx };
+}
+
+function projectLatLon(points) {
+  // equirectangular around the centroid; km → canvas units, shifted into the canvas margin
+  const lat0 = points.reduce((a, p) => a + p.lat, 0) / points.length;
+  const lon0 = points.reduce((a, p) => a + p.lon, 0) / points.length;
+  const { kx, ky } = geoScale({ lat0 });
+  const xy = points.map(p => ({ x: (p.lon - lon0) * kx / SCALE_KM, y: (lat0 - p.lat) * ky / SCALE_KM }));
+  const minX = Math.min(...xy.map(p => p.x)), minY = Math.min(...xy.map(p => p.y));
+  return { coords: xy.map(p => ({ x: p.x - minX + 60, y: p.y - minY + 60 })), geo: { lat0, lon0, x0: 60 - minX, y0: 60 - minY } };
+}
+
+// Files [{ name, text }] → { sites, depots, facilities, vehicles, geo, run, errors }. Nothing is returned unless
+// every row validates. Vehicles refer to yards by their order among the depot rows (0 = first).
+export function importInstanceFiles(files) {
+  const errors = [], records = [];
+  let run = null;
+  for (const f of files) {
+    const out = readInstanceFile(f.name, f.text);
+    records.push(...out.records); errors.push(...out.errors);
+    if (out.run) run = out.run;
+  }
+  const rawSites = [], rawVehicles = [], rawDepots = [], rawFacilities = [];
+  const positioned = [];
+  for (const r of records) {
+    const problems = [];
+    if (!r.kind) { errors.push({ file: r.file, row: r.row, message: `unknown type "${r.rec.type}"` }); continue; }
+    let pos = null;
+    if (r.kind !== "vehicle") {
+      if (r.rec.lat !== undefined || r.rec.lon !== undefined) {
+        const lat = numField(r.rec, "lat", problems, { required: true });
+        const lon = numField(r.rec, "lon", problems, { required: true });
+        if (lat !== undefined && Math.abs(lat) > 90) problems.push("lat out of range");
+        if (lon !== undefined && Math.abs(lon) > 180) problems.push("lon out of range");
+        pos = { lat, lon };
+      } else {
+        pos = { x: numField(r.rec, "x", problems, { required: true }), y: numField(r.rec, "y", problems, { required: true }) };
+      }
+    }
+    if (r.kind === "site") {
+      const mu = numField(r.rec, "mu", problems, { required: true, min: 0 });
+      let sigma = numField(r.rec, "sigma", problems, { min: 0 });
+      const variance = numField(r.rec, "variance", problems, { min: 0 });
+      if (sigma === undefined && variance !== undefined) sigma = Math.sqrt(variance);
+      if (sigma === undefined && !problems.some(p => /sigma|variance/.test(p))) problems.push("missing sigma (or variance)");
+      const service = numField(r.rec, "service", problems, { min: 0, fallback: IMPORT_DEFAULTS.service });
+      const e = numField(r.rec, "e", problems, { min: 0, fallback: IMPORT_DEFAULTS.e });
+      const l = numField(r.rec, "l", problems, { min: 0, fallback: IMPORT_DEFAULTS.l });
+      if (e !== undefined && l !== undefined && e > l) problems.push(`time window start ${e} is after end ${l}`);
+      const b = numField(r.rec, "b", problems, { min: 0 });
+      let loadings;
+      if (r.rec.loadings !== undefined && String(r.rec.loadings).trim() !== "") {
+        // JSON array or "0.4;-1.2;0.3" in CSV
+        loadings = (Array.isArray(r.rec.loadings) ? r.rec.loadings : String(r.rec.loadings).split(";")).map(Number);
+        if (!loadings.length || loadings.some(v => !Number.isFinite(v))) problems.push(`loadings must be numbers (got "${r.rec.loadings}")`);
+      }
+      const H = numField(r.rec, "H", problems, { min: 1 });
+      if (H !== undefined && !Number.isInteger(H)) problems.push(`H must be a whole number of days (got ${H})`);
+      const freq = numField(r.rec, "freq", problems, { min: 1 });
+      if (freq !== undefined && !Number.isInteger(freq)) problems.push(`freq must be a whole number of visits (got ${freq})`);
+      const V = numField(r.rec, "V", problems, { min: 1e-9 });
+      const penalty = numField(r.rec, "penalty", problems, { min: 0 });
+      const pin = numField(r.rec, "pin", problems, { min: 0 });
+      if (pin !== undefined && !Number.isInteger(pin)) problems.push(`pin must be a vehicle id (got ${pin})`);
+      let pattern;
+      if (r.rec.pattern !== undefined && String(r.rec.pattern).trim() !== "") {
+        pattern = parsePattern(r.rec.pattern);
+        if (!pattern) problems.push(`pattern must list weekdays like "Mon;Wed;Fri" or 1–7 (got "${r.rec.pattern}")`);
+      }
+      let id;
+      if (r.rec.id !== undefined && String(r.rec.id).trim() !== "") {
+        id = Number(r.rec.id);
+        if (!Number.isInteger(id) || id < 1) problems.push(`id must be a positive integer (got "${r.rec.id}")`);
+      }
+      if (!problems.length) {
+        const site = { id, mu, sigma, e, l, service, selected: true, _src: r };
+        if (b !== undefined) site.b = b;
+        if (loadings) site.loadings = loadings;
+        if (H !== undefined) site.H = H;
+        if (freq !== undefined) site.freq = freq;
+        if (pattern) site.pattern = pattern;
+        if (V !== undefined) site.V = V;
+        if (penalty !== undefined) site.penalty = penalty;
+        if (pin !== undefined) site.pin = pin;
+        rawSites.push(site); positioned.push({ obj: site, pos });
+      }
+    } else if (r.kind === "depot") {
+      if (!problems.length) { const depot = makeDepot(); rawDepots.push(depot); positioned.push({ obj: depot, pos }); }
+    } else if (r.kind === "facility") {
+      const service = numField(r.rec, "service", problems, { min: 0, fallback: makeFacility().service });
+      if (!problems.length) { const facility = { ...makeFacility(), service }; rawFacilities.push(facility); positioned.push({ obj: facility, pos }); }
+    } else {
+      const capacity = numField(r.rec, "capacity", problems, { required: true, min: 1e-9 });
+      const start = numField(r.rec, "start", problems, { min: 0, fallback: IMPORT_DEFAULTS.start });
+      const end = numField(r.rec, "end", problems, { min: 0, fallback: IMPORT_DEFAULTS.end });
+      if (start !== undefined && end !== undefined && start >= end) problems.push(`shift start ${start} is not before end ${end}`);
+      const startDepot = numField(r.rec, "startDepot", problems, { min: 0, fallback: VEHICLE_DEFAULTS.startDepot });
+      const endDepot = numField(r.rec, "endDepot", problems, { min: 0, fallback: startDepot ?? VEHICLE_DEFAULTS.endDepot });
+      for (const [key, v] of [["start_depot", startDepot], ["end_depot", endDepot]]) {
+        if (v !== undefined && !Number.isInteger(v)) problems.push(`${key} must be a depot index (got ${v})`);
+      }
+      const fixedCost = numField(r.rec, "fixedCost", problems, { min: 0, fallback: VEHICLE_DEFAULTS.fixedCost });
+      const costPerKm = numField(r.rec, "costPerKm", problems, { min: 0, fallback: VEHICLE_DEFAULTS.costPerKm });
+      const emission = numField(r.rec, "emission", problems, { min: 0, fallback: VEHICLE_DEFAULTS.emission });
+      const id = numField(r.rec, "id", problems, { min: 0 });
+      if (id !== undefined && !Number.isInteger(id)) problems.push(`vehicle id must be a whole number (got ${id})`);
+      if (!problems.length) rawVehicles.push({ id, capacity, start, end, startDepot, endDepot, fixedCost, costPerKm, emission, _src: r });
+    }
+    for (const message of problems) errors.push({ file: r.file, row: r.row, message });
+  }
+
+  // ids: explicit ones must be unique, the rest are numbered after the largest
+  const seen = new Map();
+  for (const s of rawSites) {
+    if (s.id === undefined) continue;
+    if (seen.has(s.id)) errors.push({ file: s._src.file, row: s._src.row, message: `duplicate id ${s.id} (also ${seen.get(s.id)})` });
+    else seen.set(s.id, `${s._src.file}:${s._src.row}`);
+  }
+  const ranks = new Set(rawSites.filter(s => s.loadings).map(s => s.loadings.length));
+  if (ranks.size > 1 || (ranks.size === 1 && rawSites.some(s => !s.loadings))) {
+    errors.push({ file: "-", row: "-", message: "factor loadings must be given for every site with the same length" });
+  }
+  let nextId = Math.max(0, ...seen.keys()) + 1;
+  for (const s of rawSites) if (s.id === undefined) s.id = nextId++;
+
+  const vehicleIds = rawVehicles.map(v => v.id).filter(id => id !== undefined);
+  if (vehicleIds.length && (vehicleIds.length < rawVehicles.length || new Set(vehicleIds).size < vehicleIds.length)) {
+    errors.push({ file: "-", row: "-", message: "vehicle ids must be given for every vehicle and be unique" });
+  }
+  const siteIds = new Set(rawSites.map(s => s.id));
+  for (const id of run?.excluded ?? []) {
+    if (!siteIds.has(id)) errors.push({ file: run.file, row: "-", message: `excluded site ${id} does not exist` });
+  }
+
+  const nDepots = Math.max(1, rawDepots.length);
+  for (const v of rawVehicles) {
+    for (const [key, k] of [["start_depot", v.startDepot], ["end_depot", v.endDepot]]) {
+      if (k >= nDepots) errors.push({ file: v._src.file, row: v._src.row, message: `${key} ${k} does not exist (${nDepots} depot${nDepots===1?"":"s"})` });
+    }
+  }
+  if (!rawSites.length && !errors.length) errors.push({ file: files.map(f => f.name).join(", "), row: "-", message: "no sites found" });
+  const geo = positioned.filter(p => p.pos.lat !== undefined).length;
+  if (geo && geo !== positioned.length) errors.push({ file: "-", row: "-", message: "mixing lat/lon and x/y coordinates is not supported" });
+  if (errors.length) return { sites: null, depots: null, facilities: null, vehicles: null, geo: null, run: null, errors };
+
+  const projected = geo ? projectLatLon(positioned.map(p => p.pos)) : null;
+  const coords = projected ? projected.coords : positioned.map(p => p.pos);
+  positioned.forEach((p, i) => { p.obj.x = coords[i].x; p.obj.y = coords[i].y; });
+  const sites = rawSites.map(({ _src, ...s }) => s);
+  let depots = rawDepots.map((d, k) => ({ ...d, id: k }));
+  if (!depots.length) {
+    // no depot given: centre of the sites' bounding box
+    const xs = sites.map(s => s.x), ys = sites.map(s => s.y);
+    depots = [{ ...makeDepot(), x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 }];
+  }
+  const vehicles = rawVehicles.length ? rawVehicles.map(({ _src, id, ...v }, i) => ({ id: id ?? i, ...v })) : null;
+  const facilities = rawFacilities.map((f, k) => ({ ...f, id: k }));
+  return { sites, depots, facilities, vehicles, geo: projected?.geo ?? run?.geo ?? null, run, errors };
+}
+
+// ---------- Travel provider ----------
+// Every distance and drive time goes through inst.travel = { name, km(a, b), minutes(a, b, depart) }
+// between two map points (sites, yards, facilities); `depart` is minutes from shift start and
+// selects the time-of-day factor. Points are matched by position, so day instances (copies) work too.
+export function pointKey(p) { return `${p.x},${p.y}`; }
+// Travel-time coefficient of variation of one leg: the matrix's per-edge value, else inst.travelCv
+export function legCv(inst, a, b) { return inst.travel.cv?.(a, b) ?? inst.travelCv ?? 0; }
+
+// Speed profile [{ from, to, factor }]: a leg starting in [from, to) takes factor × as long
+export function profileFactor(profile, t) {
+  if (!profile || t == null) return 1;
+  for (const w of profile) if (t >= w.from && t < w.to) return w.factor;
+  return 1;
+}
+
+// Straight lines at kmPerUnit km per map unit (the canvas scale unless a caller has its own grid)
+export function euclideanTravel(speedKmh, profile=null, kmPerUnit=SCALE_KM) {
+  const km = (a, b) => dist(a, b) * kmPerUnit;
+  return { name: "euclidean", km, minutes: (a, b, t) => km(a, b) / Math.max(1e-6, speedKmh) * 60 * profileFactor(profile, t) };
+}
+
+// Matrix provider; points[i] is the map point of row/column i (null: not in this instance).
+// Pairs the matrix does not cover fall back to straight lines, missing times to km at speedKmh.
+export function matrixTravel(matrix, points, speedKmh, profile=null, kmPerUnit=SCALE_KM) {
+  const fallback = euclideanTravel(speedKmh, null, kmPerUnit);
+  const index = new Map();
+  points.forEach((p, i) => { if (p) index.set(pointKey(p), i); });
+  const cell = (M, a, b) => {
+    const i = index.get(pointKey(a)), j = index.get(pointKey(b));
+    const v = M && i !== undefined && j !== undefined ? M[i][j] : null;
+    return Number.isFinite(v) ? v : null;
+  };
+  const km = (a, b) => cell(matrix.km, a, b) ?? fallback.km(a, b);
+  return {
+    name: "matrix", km, cv: (a, b) => cell(matrix.cv, a, b),
+    minutes: (a, b, t) => (cell(matrix.minutes, a, b) ?? fallback.minutes(a, b)) * profileFactor(profile, t),
+  };
+}
+
+// Matrix labels → points: site ids, "D0", "D1", … for yards, "F0", … for disposal facilities.
+// Without labels the rows are yards, then facilities, then sites in instance order.
+export function matrixPoints(matrix, inst) {
+  const size = (matrix.km ?? matrix.minutes).length;
+  if (!matrix.ids) {
+    const ordered = [...inst.depots, ...inst.facilities, ...inst.sites];
+    return Array.from({length: size}, (_, i) => ordered[i] ?? null);
+  }
+  return matrix.ids.map(label => {
+    const m = /^([DF])(\d+)$/i.exec(String(label).trim());
+    if (m) return (m[1].toUpperCase() === "D" ? inst.depots : inst.facilities)[+m[2]] ?? null;
+    return inst.sitesByIdx.get(Number(label)) ?? null;
+  });
+}
+
+// "0-90:1.5; 420-480:1.3" (minutes from shift start : travel time factor) → { profile, error }
+export function parseSpeedProfile(text) {
+  const profile = [];
+  for (const part of String(text).split(/[;\n]/).map(p => p.trim()).filter(Boolean)) {
+    const m = /^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/.exec(part);
+    if (!m || +m[1] >= +m[2] || +m[3] <= 0) return { profile: null, error: `cannot read "${part}" (expected from-to:factor, e.g. 0-90:1.5)` };
+    profile.push({ from: +m[1], to: +m[2], factor: +m[3] });
+  }
+  return { profile: profile.length ? profile : null, error: null };
+}
+
+// Distance / time matrix file → { matrix: { ids, km, minutes, profile }, errors }. Accepted:
+//  - OSRM table JSON ({ durations (s), distances (m) }), optionally with our own "ids";
+//  - JSON { ids, km, minutes, cv, profile } with square matrices (rows = from, asymmetric is fine);
+//  - CSV rows from,to,km,minutes[,cv] (either of km / minutes may be left out).
+// cv is an optional per-edge coefficient of variation of the travel time.
+export function parseTravelMatrix(name, text) {
+  const errors = [];
+  const fail = message => ({ matrix: null, errors: [...errors, { file: name, row: "-", message }] });
+  let ids = null, km = null, minutes = null, cv = null, profile = null;
+  const isJson = /\.json$/i.test(name) || /^\s*[\[{]/.test(text);
+  if (isJson) {
+    let data;
+    try { data = JSON.parse(text); } catch (err) { return fail(`invalid JSON: ${err.message}`); }
+    const scaled = (M, f) => M && M.map(row => row.map(v => v == null ? null : Number(v) * f));
+    if (data.durations || data.distances) { minutes = scaled(data.durations, 1/60); km = scaled(data.distances, 1/1000); }
+    else { minutes = scaled(data.minutes, 1); km = scaled(data.km, 1); }
+    cv = scaled(data.cv, 1);
+    ids = data.ids ?? null;
+    if (data.profile != null) {
+      profile = Array.isArray(data.profile) ? data.profile : null;
+      if (!profile || profile.some(w => !(w.from < w.to) || !(w.factor > 0))) return fail("profile must be a list of { from, to, factor } with from < to and factor > 0");
+    }
+    if (!km && !minutes) return fail("expected \"durations\"/\"distances\" (OSRM table) or \"km\"/\"minutes\" matrices");
+    const n = (km ?? minutes).length;
+    for (const [key, M] of [["km", km], ["minutes", minutes], ["cv", cv]]) {
+      if (M && (M.length !== n || M.some(row => !Array.isArray(row) || row.length !== n))) return fail(`${key} must be a square ${n}×${n} matrix`);
+      if (M && M.some(row => row.some(v => v !== null && !(v >= 0)))) return fail(`${key} has negative or non-numeric entries`);
+    }
+    if (ids && (!Array.isArray(ids) || ids.length !== n)) return fail(`ids must list one label per row (${n})`);
+  } else {
+    const rows = parseCsv(text);
+    if (rows.length < 2) return fail("CSV needs a header row and at least one data row");
+    const header = rows[0].cells.map(h => h.trim().toLowerCase());
+    const col = names => header.findIndex(h => names.includes(h));
+    const ci = { from: col(["from", "origin", "src"]), to: col(["to", "destination", "dst"]),
+      km: col(["km", "distance_km", "dist_km"]), minutes: col(["minutes", "min", "time_min", "duration_min"]), cv: col(["cv", "time_cv"]) };
+    if (ci.from < 0 || ci.to < 0) return fail("CSV needs from and to columns");
+    if (ci.km < 0 && ci.minutes < 0) return fail("CSV needs a km or a minutes column");
+    ids = [];
+    const at = new Map(), cells = [];
+    const label = v => { const k = v.trim(); if (!at.has(k)) { at.set(k, ids.length); ids.push(k); } return at.get(k); };
+    for (const { line, cells: c } of rows.slice(1)) {
+      const rec = { i: label(c[ci.from] ?? ""), j: label(c[ci.to] ?? "") };
+      for (const key of ["km", "minutes", "cv"]) {
+        if (ci[key] < 0 || String(c[ci[key]] ?? "").trim() === "") continue;
+        const v = Number(c[ci[key]]);
+        if (!(v >= 0)) errors.push({ file: name, row: line, message: `${key} must be a number ≥ 0 (got "${c[ci[key]]}")` });
+        else rec[key] = v;
+      }
+      cells.push(rec);
+    }
+    if (errors.length) return { matrix: null, errors };
+    const empty = () => ids.map(() => ids.map(() => null));
+    if (ci.km >= 0) km = empty();
+    if (ci.minutes >= 0) minutes = empty();
+    if (ci.cv >= 0) cv = empty();
+    for (const c of cells) {
+      if (km && c.km !== undefined) km[c.i][c.j] = c.km;
+      if (minutes && c.minutes !== undefined) minutes[c.i][c.j] = c.minutes;
+      if (cv && c.cv !== undefined) cv[c.i][c.j] = c.cv;
+    }
+  }
+  return { matrix: { ids, km, minutes, cv, profile }, errors };
+}
+
+
+// ---------- QRO bounds ----------
+export function bernsteinBound(muSum, varSum, eps, b) {
+  // returns threshold = mu + sqrt(2*var*ln(1/eps)) + (2/3) b ln(1/eps)
+  const L = Math.log(1/Math.max(1e-9, eps));
+  return muSum + Math.sqrt(2 * Math.max(0, varSum) * L) + (2/3) * b * L;
+}
+
+// Smallest ε at which bernsteinBound stays within `cap`: solve μ + √(2·Var·x) + (2/3)·b·x = cap
+// for x = ln(1/ε), a quadratic in √x
+export function requiredEps(muSum, varSum, b, cap) {
+  if (muSum >= cap) return 1;
+  const a = (2/3) * b, s = Math.sqrt(2 * Math.max(0, varSum)), c = muSum - cap;
+  if (a <= 1e-12 && s <= 1e-12) return 0;
+  const y = a > 1e-12 ? (-s + Math.sqrt(s*s - 4*a*c)) / (2*a) : -c / s;
+  return Math.exp(-y*y);
+}
+
+export function normalQuantileBound(muSum, varSum, eps) {
+  const z = zQuantile(eps);
+  return muSum + z * Math.sqrt(Math.max(0, varSum));
+}
+
+// Distribution-free one-sided Chebyshev (Cantelli): P(S − μ ≥ t) ≤ Var / (Var + t²)
+export function cantelliBound(muSum, varSum, eps) {
+  const e = clamp(eps, 1e-9, 1);
+  return muSum + Math.sqrt(Math.max(0, varSum) * (1 - e) / e);
+}
+
+// Sample (SAA) oracle: K joint scenarios are drawn once per instance; a route keeps its K
+// scenario loads, so adding a site is O(K) and the threshold is their (1−ε) order statistic (quickselect, expected O(K)).
+export const SAA_SCENARIOS = 1000;
+export function scenarioMatrix(inst, K=SAA_SCENARIOS) {
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.simulation}:saa`);
+  const cols = new Map(inst.sites.map(s=>[s.id, new Float64Array(K)]));
+  for (let k=0; k<K; k++) {
+    const X = sampleScenario(inst, rng);
+    for (const [id, col] of cols) col[k] = X.get(id);
+  }
+  return { K, cols };
+}
+
+// ⌈q·n⌉-th smallest value, by quickselect on a scratch buffer reused across calls (expected
+// O(n), no allocation once the buffer has grown to K)
+let quantileBuf = new Float64Array(0);
+export function empiricalQuantile(values, q) {
+  const n = values ? values.length : 0;
+  if (!n) return 0;
+  if (quantileBuf.length < n) quantileBuf = new Float64Array(n);
+  const a = quantileBuf;
+  for (let i = 0; i < n; i++) a[i] = values[i];
+  const k = clamp(Math.ceil(q * n) - 1, 0, n - 1);
+  let lo = 0, hi = n - 1;
+  while (lo < hi) {
+    const pivot = a[(lo + hi) >> 1];
+    let i = lo, j = hi;
+    while (i <= j) {
+      while (a[i] < pivot) i++;
+      while (a[j] > pivot) j--;
+      if (i <= j) { const t = a[i]; a[i] = a[j]; a[j] = t; i++; j--; }
+    }
+    if (k <= j) hi = j;
+    else if (k >= i) lo = i;
+    else break;
+  }
+  return a[k];
+}
+
+// Deviation cap b for one site: imported/estimated value, else bMult · σᵢ
+export function siteCap(inst, site) { return site.b ?? inst.bMult * site.sigma; }
+
+export const BOUND_TYPES = { bernstein: "Bernstein", normal: "Normal quantile", cantelli: "Cantelli", saa: "Sample quantile (SAA)" };
+
+// Capacity threshold of a route given its moments ({ muSum, varSum, bMax, loads })
+export function qroThreshold(inst, m, boundType=inst.boundType) {
+  switch (boundType) {
+    case "bernstein": return bernsteinBound(m.muSum, m.varSum, inst.eps, m.bMax);
+    case "cantelli": return cantelliBound(m.muSum, m.varSum, inst.eps);
+    case "saa": return empiricalQuantile(m.loads, 1 - inst.eps);
+    default: return normalQuantileBound(m.muSum, m.varSum, inst.eps);
+  }
+}
+
+// Capacity rules a plan can be built under: the QRO chance constraint, or one of the
+// baselines it is compared against. `marginFill` is the fill fraction of the safety margin.
+export const PLANNERS = {
+  qro: "Q-Route+ (QRO)", det: "Deterministic (mean ≤ C)", indep: "Independent CC", margin: "Safety margin",
+};
+
+// Load a segment's capacity has to cover under inst.planner: mean only, a normal quantile
+// of Σσᵢ² (correlation ignored), the mean over the fill fraction, or the QRO threshold
+export function gateThreshold(inst, m) {
+  switch (inst.planner) {
+    case "det": return m.muSum;
+    case "indep": return normalQuantileBound(m.muSum, m.indepVar, inst.eps);
+    case "margin": return m.muSum / inst.marginFill;
+    default: return qroThreshold(inst, m);
+  }
+}
+
+// ---------- Routing structures ----------
+export function makeDepot() { return { id: 0, x: CANVAS_W/2, y: CANVAS_H/2, mu:0, sigma:0, e:0, l:480, service:0 } }
+// Disposal facility (landfill / transfer station): `service` is the unloading time in minutes
+export function makeFacility() { return { id: 0, x: CANVAS_W - 80, y: 80, mu:0, sigma:0, e:0, l:1440, service:15 } }
+
+// Route nodes: 0 = the vehicle's yard (first / last), site ids > 0, facility k = -(k+1)
+export function disposalNode(k) { return -(k + 1); }
+export function isDisposal(idx) { return idx < 0; }
+
+export function emptyMoments(rank) {
+  return { muSum: 0, varSum: 0, indepVar: 0, g: new Array(rank).fill(0), sumD: 0, bMax: 0, members: new Set(), loads: null };
+}
+
+export class Route {
+  constructor(vehicle, rank=0) {
+    this.vehicle = vehicle;
+    this.nodes = [0, 0]; // depot indices
+    this.arrival = [vehicle.start, vehicle.start];
+    this.muSum = 0; this.varSum = 0; // variance includes correlation (see momentsWithSite)
+    this.indepVar = 0; // Σσᵢ², as if sites were independent
+    this.g = new Array(rank).fill(0); this.sumD = 0; // factor model: g = Σ Lᵢ over members, Σ Dᵢ
+    this.bMax = 0;
+    this.members = new Set();
+    this.loads = null; // SAA oracle: per-scenario route load
+    this.segments = [emptyMoments(rank)]; // one per load segment; the truck empties at each disposal stop
+    this.fixed = 1; // nodes before this index are already driven (day execution) and stay as they are
+  }
+}
+
+// Moments of each load segment of `nodes`; the QRO gate applies to every segment on its own
+export function segmentMoments(inst, nodes) {
+  const segs = [emptyMoments(inst.factors.rank)];
+  for (let k=1; k<nodes.length-1; k++) {
+    if (isDisposal(nodes[k])) { segs.push(emptyMoments(inst.factors.rank)); continue; }
+    const seg = segs[segs.length-1];
+    Object.assign(seg, momentsWithSite(inst, seg, inst.sitesByIdx.get(nodes[k]))); seg.members.add(nodes[k]);
+  }
+  return segs;
+}
+export function momentsOf(inst, ids) { return segmentMoments(inst, [0, ...ids, 0])[0]; }
+// Segment a stop inserted at `pos` joins
+export function segmentAt(nodes, pos) { let s = 0; for (let k=1; k<pos; k++) if (isDisposal(nodes[k])) s++; return s; }
+// Largest segment threshold: what the vehicle's capacity has to cover
+export function routeThreshold(inst, route, boundType) { return Math.max(0, ...route.segments.map(seg=>qroThreshold(inst, seg, boundType))); }
+
+// Start / end yard of a vehicle; the first and last node of every route stand for them
+export function vehicleDepot(inst, v, which="start") {
+  const k = which === "end" ? v.endDepot : v.startDepot;
+  return inst.depots?.[k ?? 0] ?? inst.depot;
+}
+export function routePoint(inst, route, nodes, k) {
+  if (k === 0) return vehicleDepot(inst, route.vehicle, "start");
+  if (k === nodes.length - 1) return vehicleDepot(inst, route.vehicle, "end");
+  if (isDisposal(nodes[k])) return inst.facilities[-nodes[k] - 1];
+  return inst.sitesByIdx.get(nodes[k]);
+}
+export function routePoints(inst, route, nodes=route.nodes) { return nodes.map((_, k)=>routePoint(inst, route, nodes, k)); }
+export function routeKm(inst, route, nodes=route.nodes) {
+  const pts = routePoints(inst, route, nodes);
+  let km = 0; for (let i=0; i<pts.length-1; i++) km += inst.travel.km(pts[i], pts[i+1]); return km;
+}
+export function vehicleEmission(inst, v) { return v.emission ?? inst.emissionPerKm; }
+// € cost of a route: the vehicle's fixed cost once it leaves the yard, plus its €/km
+export function routeCost(inst, route) {
+  return route.members.size ? (route.vehicle.fixedCost ?? 0) + (route.vehicle.costPerKm ?? 0) * routeKm(inst, route) : 0;
+}
+
+// ---------- Correlation helper ----------
+// For demo: use a global rho in [0,1) applied pairwise: Cov(i,j) = rho * sigma_i * sigma_j
+export function updateVarSumWithRho(route, site, sitesById, rho) {
+  let cross = 0;
+  for (const sid of route.members) {
+    const s = sitesById.get(sid);
+    cross += rho * s.sigma * site.sigma;
+  }
+  return route.varSum + site.sigma*site.sigma + 2*cross;
+}
+
+// Low-rank factor model Σ = L Lᵀ + diag(D). Generated instances get r spatial "surge
+// zones": a site loads on the zones near it with a `share` of its variance, the rest is
+// idiosyncratic, so σᵢ is unchanged and nearby sites co-move. Imported loadings win.
+export function genFactorModel(sites, rank, share, seed) {
+  const L = new Map(), D = new Map();
+  const given = sites.length > 0 && sites.every(s => Array.isArray(s.loadings));
+  if (given) {
+    for (const s of sites) {
+      L.set(s.id, s.loadings.slice());
+      D.set(s.id, Math.max(1e-6, s.sigma*s.sigma - s.loadings.reduce((a,v)=>a+v*v, 0)));
+    }
+    return { rank: sites[0].loadings.length, L, D, centers: [] };
+  }
+  const rng = makeRng(seed, `${RNG_STREAMS.instance}:factors`);
+  const xs = sites.map(s=>s.x), ys = sites.map(s=>s.y);
+  const x0 = Math.min(60, ...xs), x1 = Math.max(CANVAS_W-60, ...xs);
+  const y0 = Math.min(60, ...ys), y1 = Math.max(CANVAS_H-60, ...ys);
+  const centers = Array.from({length: rank}, ()=>({ x: randBetween(x0, x1, rng), y: randBetween(y0, y1, rng) }));
+  const width = Math.hypot(x1-x0, y1-y0) / (2*Math.sqrt(rank));
+  for (const s of sites) {
+    let w = centers.map(c=>Math.exp(-(dist(s, c)**2) / (2*width*width)));
+    let norm = Math.hypot(...w);
+    if (norm < 1e-9) { w = w.map(()=>1); norm = Math.sqrt(rank); }
+    L.set(s.id, w.map(v=>s.sigma * Math.sqrt(share) * v / norm));
+    D.set(s.id, Math.max(1e-6, (1 - share) * s.sigma*s.sigma));
+  }
+  return { rank, L, D, centers };
+}
+
+// Route moments after adding `site` (no mutation). ρ model: O(|route|); factor model: O(r); SAA loads: O(K).
+export function momentsWithSite(inst, route, site) {
+  const base = { muSum: route.muSum + site.mu, indepVar: route.indepVar + site.sigma*site.sigma, bMax: Math.max(route.bMax, siteCap(inst, site)) };
+  if (inst.saa) {
+    const col = inst.saa.cols.get(site.id);
+    base.loads = route.loads ? route.loads.map((v, k)=>v + col[k]) : Float64Array.from(col);
+  }
+  if (inst.corrModel === "factor") {
+    const Li = inst.factors.L.get(site.id);
+    const g = route.g.map((v,k)=>v + Li[k]);
+    const sumD = route.sumD + inst.factors.D.get(site.id);
+    return { ...base, g, sumD, varSum: g.reduce((a,v)=>a+v*v, 0) + sumD };
+  }
+  return { ...base, g: route.g, sumD: route.sumD, varSum: updateVarSumWithRho(route, site, inst.sitesByIdx, inst.rho) };
+}
+
+// ---------- Time feasibility re-compute forward ----------
+// Arrival at each node of `nodes`; a stop's service (unloading at a facility) is done before
+// driving on. null if a time window or the shift end is missed (unless strict=false).
+// With inst.lateRisk = δ > 0 the check is a chance constraint: mean arrival + z₁₋δ·sd must
+// meet each window and the shift end, the variance adding up leg by leg (CV² · mean²) and
+// dropping to zero where the truck is sure to wait.
+export function scheduleFor(inst, route, nodes, strict=true) {
+  const veh = route.vehicle;
+  const arr = [veh.start];
+  const z = inst.lateRisk > 0 ? zQuantile(inst.lateRisk) : 0;
+  let v = 0;
+  for (let k = 1; k < nodes.length; k++) {
+    const prevSite = routePoint(inst, route, nodes, k-1);
+    const curSite = routePoint(inst, route, nodes, k);
+    const depart = arr[k-1] + (k===1?0:prevSite.service);
+    const travel = inst.travel.minutes(prevSite, curSite, depart);
+    const tentative = depart + travel;
+    if (z) v += (k===1 ? 0 : (inst.serviceCv * prevSite.service)**2) + (legCv(inst, prevSite, curSite) * travel)**2;
+    if (k === nodes.length-1) { arr[k] = tentative; }
+    else {
+      arr[k] = Math.max(tentative, curSite.e);
+      if (tentative + z*Math.sqrt(v) <= curSite.e) v = 0;
+      if (strict && arr[k] + z*Math.sqrt(v) > curSite.l + 1e-6) return null;
+    }
+  }
+  if (strict && arr[arr.length-1] + z*Math.sqrt(v) > veh.end + 1e-6) return null;
+  return arr;
+}
+
+export function timeFeasibleAfterInsert(inst, route, siteIdx, pos) {
+  const nodes = route.nodes.slice();
+  nodes.splice(pos, 0, siteIdx);
+  return scheduleFor(inst, route, nodes) !== null;
+}
+
+// Insert a site (moments of the route and of its segment) or a disposal stop (segments re-split)
+export function applyInsert(inst, route, siteIdx, pos) {
+  route.nodes.splice(pos, 0, siteIdx);
+  route.arrival = scheduleFor(inst, route, route.nodes, false);
+  if (isDisposal(siteIdx)) { route.segments = segmentMoments(inst, route.nodes); return; }
+  const site = inst.sitesByIdx.get(siteIdx);
+  const seg = route.segments[segmentAt(route.nodes, pos)];
+  Object.assign(seg, momentsWithSite(inst, seg, site)); seg.members.add(siteIdx);
+  Object.assign(route, momentsWithSite(inst, route, site));
+  route.members.add(siteIdx);
+}
+
+// Apply a cheapestInsertion result, including its disposal stop if it needs one
+export function applyInsertion(inst, route, siteIdx, ins) {
+  applyInsert(inst, route, siteIdx, ins.pos);
+  if (ins.disposal) applyInsert(inst, route, ins.disposal.node, ins.disposal.before ? ins.pos : ins.pos + 1);
+}
+
+export function gateFeasible(inst, route, siteIdx, pos) {
+  const seg = route.segments[segmentAt(route.nodes, pos)];
+  // capacity bound (provisional) of the segment the site joins, variance including correlation
+  return gateThreshold(inst, momentsWithSite(inst, seg, inst.sitesByIdx.get(siteIdx))) <= route.vehicle.capacity + 1e-9;
+}
+
+export function qroFeasible(inst, route, siteIdx, pos) {
+  if (!gateFeasible(inst, route, siteIdx, pos)) return false;
+  // time windows
+  return timeFeasibleAfterInsert(inst, route, siteIdx, pos);
+}
+
+// The site's segment is full at `pos`: insert it with a disposal stop right before it (the
+// truck empties, then serves it and the rest of the segment) or right after it (the stops
+// before plus the site form one load). Nearest facility for each; { delta, disposal } or null.
+export function disposalInsertion(inst, route, siteIdx, pos) {
+  if (!inst.facilities?.length) return null;
+  const nodes = route.nodes, cap = route.vehicle.capacity;
+  let lo = pos, hi = pos;
+  while (lo > 1 && !isDisposal(nodes[lo-1])) lo--;
+  while (hi < nodes.length-1 && !isDisposal(nodes[hi])) hi++;
+  const before = nodes.slice(lo, pos), after = nodes.slice(pos, hi);
+  const sPrev = routePoint(inst, route, nodes, pos-1), sCur = routePoint(inst, route, nodes, pos);
+  const sNew = inst.sitesByIdx.get(siteIdx);
+  const km = inst.travel.km;
+  const nearest = (a, b) => inst.facilities.reduce((best, f, k) => {
+    const d = km(a, f) + km(f, b);
+    return !best || d < best.d ? { d, node: disposalNode(k) } : best;
+  }, null);
+  let best = null;
+  const options = [];
+  if (before.length) options.push({ ids: [siteIdx, ...after], before: true, f: nearest(sPrev, sNew), rest: km(sNew, sCur) });
+  if (after.length) options.push({ ids: [...before, siteIdx], before: false, f: nearest(sNew, sCur), rest: km(sPrev, sNew) });
+  for (const o of options) {
+    const delta = o.f.d + o.rest - km(sPrev, sCur);
+    if (best && delta >= best.delta) continue;
+    if (gateThreshold(inst, momentsOf(inst, o.ids)) > cap + 1e-9) continue;
+    const cand = nodes.slice();
+    cand.splice(pos, 0, ...(o.before ? [o.f.node, siteIdx] : [siteIdx, o.f.node]));
+    if (!scheduleFor(inst, route, cand)) continue;
+    best = { delta, disposal: { node: o.f.node, before: o.before } };
+  }
+  return best;
+}
+
+// ---------- Greedy QRO construction ----------
+// Cheapest QRO- and time-feasible position for `sid` over all routes, priced with the
+// vehicle's €/km plus its fixed cost when the route is still empty, so the fleet mix is
+// chosen by the insertions. Where the segment is full, a disposal stop may come with it.
+// A site pinned to a vehicle only goes on that vehicle's route.
+// { cost, delta (detour km), rIndex, pos, disposal } or null
+export function cheapestInsertion(inst, routes, sid) {
+  let best = null;
+  const sNew = inst.sitesByIdx.get(sid);
+  const pinned = pinnedRoute(routes, sNew);
+  for (let rIndex=0; rIndex<routes.length; rIndex++){
+    if (pinned >= 0 && rIndex !== pinned) continue;
+    const r = routes[rIndex];
+    const opening = r.members.size ? 0 : (r.vehicle.fixedCost ?? 0);
+    for (let pos=r.fixed; pos<r.nodes.length; pos++){
+      let delta, disposal = null;
+      if (gateFeasible(inst, r, sid, pos)) {
+        if (!timeFeasibleAfterInsert(inst, r, sid, pos)) continue;
+        const sPrev = routePoint(inst, r, r.nodes, pos-1);
+        const sCur  = routePoint(inst, r, r.nodes, pos);
+        delta = inst.travel.km(sPrev, sNew) + inst.travel.km(sNew, sCur) - inst.travel.km(sPrev, sCur);
+      } else {
+        const d = disposalInsertion(inst, r, sid, pos);
+        if (!d) continue;
+        ({ delta, disposal } = d);
+      }
+      const cost = opening + (r.vehicle.costPerKm ?? 0) * delta;
+      if (!best || cost < best.cost) best = { cost, delta, rIndex, pos, disposal };
+    }
+  }
+  return best;
+}
+
+// ---------- Manual pins ----------
+// A site may carry `pin` = the id of the vehicle a planner put it on. Construction places
+// pinned sites first and on that vehicle only (even past the gate or a window, which the
+// route checks then flag); skip moves leave them alone. Pins to a missing vehicle are ignored.
+export function pinnedRoute(routes, site) {
+  return site.pin == null ? -1 : routes.findIndex(r=>r.vehicle.id === site.pin);
+}
+
+// Shortest-detour position for a site, gate and windows ignored
+export function forcedInsertion(inst, route, sid) {
+  const sNew = inst.sitesByIdx.get(sid);
+  let best = null;
+  for (let pos=route.fixed; pos<route.nodes.length; pos++) {
+    const a = routePoint(inst, route, route.nodes, pos-1), b = routePoint(inst, route, route.nodes, pos);
+    const delta = inst.travel.km(a, sNew) + inst.travel.km(sNew, b) - inst.travel.km(a, b);
+    if (!best || delta < best.delta) best = { delta, pos, disposal: null };
+  }
+  return best;
+}
+
+// onProgress, if given, gets { phase: "construction", done, total } after every site
+export function buildRoutesQRO(inst, visitMask, onProgress=null) {
+  const routes = inst.vehicles.map(v => new Route(v, inst.factors.rank));
+  const sites = inst.sites;
+  const toVisit = sites.filter((s,idx)=>visitMask[idx]).map(s=>s.id);
+  const skipped = sites.filter((s,idx)=>!visitMask[idx]).map(s=>s.id);
+
+  // heuristic: pinned sites first, then by sigma desc, then mu desc
+  const isPinned = sid => pinnedRoute(routes, inst.sitesByIdx.get(sid)) >= 0;
+  toVisit.sort((a,b)=>{
+    const sa = inst.sitesByIdx.get(a), sb = inst.sitesByIdx.get(b);
+    return (isPinned(b) - isPinned(a)) || (sb.sigma - sa.sigma) || (sb.mu - sa.mu);
+  });
+
+  let done = 0;
+  for (const sid of toVisit) {
+    const best = cheapestInsertion(inst, routes, sid);
+    const pinned = pinnedRoute(routes, inst.sitesByIdx.get(sid));
+    if (best) {
+      applyInsertion(inst, routes[best.rIndex], sid, best);
+    } else if (pinned >= 0) {
+      applyInsertion(inst, routes[pinned], sid, forcedInsertion(inst, routes[pinned], sid));
+    } else {
+      // try put on empty route at pos 1
+      let placed = false;
+      for (let rIndex=0; rIndex<routes.length; rIndex++){
+        const r = routes[rIndex];
+        if (r.nodes.length===2 && qroFeasible(inst, r, sid, 1)) {
+          applyInsert(inst, r, sid, 1); placed = true; break;
+        }
+      }
+      if (!placed) skipped.push(sid);
+    }
+    onProgress?.({ phase: "construction", done: ++done, total: toVisit.length });
+  }
+  return { routes, skipped };
+}
+
+// ---------- 2-opt local improvement (distance only, keep QRO feasibility) ----------
+export function twoOptImprove(inst, route, attempts=200, rng) {
+  const nodes = route.nodes.slice();
+  const n = nodes.length, f = route.fixed;
+  if (n < f + 4) return; // nothing to do
+
+  for (let it=0; it<attempts; it++){
+    const i = Math.floor(randBetween(f, n-3, rng));
+    const j = Math.floor(randBetween(i+1, n-2, rng));
+    const cand = nodes.slice(0,i).concat(nodes.slice(i,j+1).reverse(), nodes.slice(j+1));
+    // quick time + QRO check; a reversal across a disposal stop moves sites between segments
+    const arr = scheduleFor(inst, route, cand);
+    if (!arr) continue;
+    const segs = segmentMoments(inst, cand);
+    if (segs.slice(segmentAt(cand, f)).some(seg=>gateThreshold(inst, seg) > route.vehicle.capacity + 1e-9)) continue;
+
+    // compute distances
+    const oldLen = routeKm(inst, route, nodes);
+    const newLen = routeKm(inst, route, cand);
+    if (newLen + 1e-6 < oldLen) {
+      // accept
+      route.nodes = cand;
+      route.arrival = arr;
+      route.segments = segs;
+    }
+  }
+}
+
+// ---------- Skip decisions ----------
+// Objective (€): Σ vehicle costs (fixed + €/km) + Σ pᵢ over skipped sites + inst.overflowCost ·
+// Σ_R P(route R overflows). pᵢ is the site's own `penalty` or inst.skipPenalty; with
+// inst.riskScaled it grows by P(bin overflows by tomorrow), up to 2×.
+// A skipped bin holds two days of fill tomorrow: S ~ N(2μ, 2σ²) against its volume V.
+export function tomorrowOverflow(site) {
+  if (!site.V) return { prob: 0, spill: 0 };
+  const m = 2*site.mu, sd = Math.max(1e-9, Math.SQRT2*site.sigma);
+  const z = (site.V - m) / sd;
+  return { prob: 1 - normalCdf(z), spill: sd * (normalPdf(z) - z*(1 - normalCdf(z))) };
+}
+
+export function skipPenaltyOf(inst, site) {
+  const base = site.penalty ?? inst.skipPenalty;
+  return inst.riskScaled ? base * (1 + tomorrowOverflow(site).prob) : base;
+}
+
+// P(load > cap) for a Normal load with the given moments
+export function segmentOverflowProb(muSum, varSum, cap) {
+  const sd = Math.sqrt(Math.max(0, varSum));
+  return sd > 1e-9 ? 1 - normalCdf((cap - muSum) / sd) : muSum > cap + 1e-9 ? 1 : 0;
+}
+// P(some load segment overflows): each segment normal with its moments, independent of the
+// others (the truck empties in between)
+export function routeOverflowProb(inst, route, segments=route.segments) {
+  const cap = route.vehicle.capacity;
+  return 1 - segments.reduce((p, seg)=>p * (1 - segmentOverflowProb(seg.muSum, seg.varSum, cap)), 1);
+}
+// € overflow risk of a route (with `segments` in place of its own)
+export function routeRiskCost(inst, route, segments=route.segments) {
+  return inst.overflowCost ? inst.overflowCost * routeOverflowProb(inst, route, segments) : 0;
+}
+
+// € objective the search minimises: vehicle costs + skip penalties of the sites the mask allows
+// + overflow risk
+export function solutionObjective(inst, routes, skipped, visitMask=inst.sites.map(()=>true)) {
+  const allowed = new Set(inst.sites.filter((s, i)=>visitMask[i]).map(s=>s.id));
+  return routes.reduce((a, r)=>a + routeCost(inst, r) + routeRiskCost(inst, r), 0)
+    + skipped.filter(id=>allowed.has(id)).reduce((a, id)=>a + skipPenaltyOf(inst, inst.sitesByIdx.get(id)), 0);
+}
+
+// Disposal stops only make sense between two sites: drop those right after the yard, after
+// another disposal, or right before the return. The first `keep` nodes (driven) stay as they are.
+export function tidyDisposals(nodes, keep=1) {
+  const out = [];
+  nodes.forEach((idx, k)=>{
+    if (k >= keep) {
+      if (isDisposal(idx) && !(out[out.length-1] > 0)) return;
+      if (idx === 0 && isDisposal(out[out.length-1]) && out.length > keep) out.pop();
+    }
+    out.push(idx);
+  });
+  return out;
+}
+
+export function rebuildRoute(inst, route, nodes) {
+  const r = new Route(route.vehicle, inst.factors.rank);
+  for (const idx of tidyDisposals(nodes, route.fixed)) if (idx !== 0) applyInsert(inst, r, idx, r.nodes.length - 1);
+  r.fixed = route.fixed;
+  return r;
+}
+
+// Local search over the skip set: skip the stop whose detour cost (plus the vehicle's fixed
+// cost if it is the last stop) and the route risk it adds exceed its penalty by the most, or
+// unskip the skipped site whose cheapest feasible insertion plus added risk is below its
+// penalty. Sites excluded by the visit mask stay out.
+export function skipUnskipImprove(inst, routes, skipped, visitMask, maxMoves=500) {
+  const allowed = new Set(inst.sites.filter((s, i)=>visitMask[i]).map(s=>s.id));
+  let out = skipped.slice();
+  for (let move=0; move<maxMoves; move++) {
+    let best = null; // { gain, kind, sid, rIndex, pos }
+    routes.forEach((r, rIndex)=>{
+      for (let k=r.fixed; k<r.nodes.length-1; k++) {
+        const sid = r.nodes[k];
+        if (isDisposal(sid) || pinnedRoute(routes, inst.sitesByIdx.get(sid)) >= 0) continue;
+        const a = routePoint(inst, r, r.nodes, k-1), b = routePoint(inst, r, r.nodes, k), c = routePoint(inst, r, r.nodes, k+1);
+        const saving = (r.vehicle.costPerKm ?? 0) * (inst.travel.km(a, b) + inst.travel.km(b, c) - inst.travel.km(a, c))
+          + (r.members.size === 1 ? (r.vehicle.fixedCost ?? 0) : 0);
+        const seg = segmentAt(r.nodes, k);
+        const risk = inst.overflowCost
+          ? routeRiskCost(inst, r) - routeRiskCost(inst, r, r.segments.map((m, i)=>i === seg ? momentsOf(inst, [...m.members].filter(id=>id !== sid)) : m))
+          : 0;
+        const gain = saving + risk - skipPenaltyOf(inst, b);
+        if (gain > 1e-9 && (!best || gain > best.gain)) best = { gain, kind: "skip", sid, rIndex };
+      }
+    });
+    for (const sid of out) {
+      if (!allowed.has(sid)) continue;
+      const ins = cheapestInsertion(inst, routes, sid);
+      if (!ins) continue;
+      let risk = 0;
+      if (inst.overflowCost) {
+        const r = routes[ins.rIndex], nodes = r.nodes.slice();
+        nodes.splice(ins.pos, 0, sid);
+        if (ins.disposal) nodes.splice(ins.disposal.before ? ins.pos : ins.pos + 1, 0, ins.disposal.node);
+        risk = routeRiskCost(inst, r, segmentMoments(inst, nodes)) - routeRiskCost(inst, r);
+      }
+      const gain = skipPenaltyOf(inst, inst.sitesByIdx.get(sid)) - ins.cost - risk;
+      if (gain > 1e-9 && (!best || gain > best.gain)) best = { gain, kind: "unskip", sid, ...ins };
+    }
+    if (!best) break;
+    if (best.kind === "skip") {
+      const r = routes[best.rIndex];
+      routes[best.rIndex] = rebuildRoute(inst, r, r.nodes.filter(idx=>idx!==best.sid));
+      out.push(best.sid);
+    } else {
+      applyInsertion(inst, routes[best.rIndex], best.sid, best);
+      out = out.filter(sid=>sid!==best.sid);
+    }
+  }
+  return out;
+}
+
+// Why each skipped site is off the plan: excluded by the visit mask, no route passes the
+// capacity gate ("gate"), no time-feasible slot where the gate passes ("tw"), or serving it
+// costs more than its penalty ("cheaper"), plus what leaving it until tomorrow risks.
+export function skipReport(inst, routes, skipped, visitMask) {
+  const excluded = new Set(inst.sites.filter((s, i)=>!visitMask[i]).map(s=>s.id));
+  return skipped.map(sid=>{
+    const site = inst.sitesByIdx.get(sid);
+    const ins = cheapestInsertion(inst, routes, sid);
+    const alone = gateThreshold(inst, momentsOf(inst, [sid]));
+    const gateOk = routes.some(r=>r.segments.some(seg=>gateThreshold(inst, momentsWithSite(inst, seg, site)) <= r.vehicle.capacity + 1e-9)
+      || (inst.facilities?.length && r.members.size && alone <= r.vehicle.capacity + 1e-9));
+    const reason = excluded.has(sid) ? "excluded" : ins ? "cheaper" : gateOk ? "tw" : "gate";
+    return { id: sid, reason, penalty: skipPenaltyOf(inst, site), insertCost: ins ? ins.cost : null, ...tomorrowOverflow(site) };
+  }).sort((a, b)=>b.prob - a.prob);
+}
+
+// ---------- Periodic horizon planning ----------
+// Sites carry a max gap H (days between emptyings, default 1), an optional frequency
+// (visits per horizon, tightens H to ⌊T/freq⌋) and an optional weekday pattern.
+export function maxGap(site, days) {
+  const H = site.H ?? 1;
+  return site.freq ? Math.max(1, Math.min(H, Math.floor(days / site.freq))) : H;
+}
+export function allowedOn(site, day) { return !site.pattern || site.pattern.includes(day % 7); }
+export function nextAllowed(site, day) { let d = day + 1; while (!allowedOn(site, d)) d++; return d; }
+
+// Instance for one day where site i has accumulated `ages[i]` days of fill since it was last
+// emptied. Daily fills are i.i.d., so a k-day bin has mean kμ, variance kσ² and cap k·b; the
+// cross terms are scaled by √(kᵢkⱼ) (exact for equal ages, conservative otherwise).
+export function accumulatedInstance(inst, ages) {
+  const sites = inst.sites.map((s, i) => {
+    const k = ages[i];
+    return { ...s, mu: k * s.mu, sigma: Math.sqrt(k) * s.sigma, b: k * siteCap(inst, s), age: k };
+  });
+  const sitesByIdx = new Map(sites.map(s => [s.id, s]));
+  const L = new Map(), D = new Map();
+  sites.forEach(s => {
+    L.set(s.id, inst.factors.L.get(s.id).map(v => v * Math.sqrt(s.age)));
+    D.set(s.id, inst.factors.D.get(s.id) * s.age);
+  });
+  const day = { ...inst, sites, sitesByIdx, factors: { ...inst.factors, L, D } };
+  if (inst.saa) day.saa = scenarioMatrix(day, inst.saa.K);
+  return day;
+}
+
+// Day by day: a site is due when waiting for its next allowed weekday would stretch the gap
+// past H. Due sites are routed first (greedy QRO on the accumulated fills); afterwards sites
+// that would be due at their next allowed day ride along when their detour is under half
+// the day's average km per stop. Due sites that do not fit keep filling and come back tomorrow.
+// Each day carries the `ages` its instance was built from; onProgress gets { phase: "days", done, total }.
+export function planHorizon(inst, days, twoOpt=false, { onProgress=null } = {}) {
+  const n = inst.sites.length;
+  const last = Array(n).fill(-1); // day each bin was last emptied (-1: the day before the horizon)
+  const calendar = inst.sites.map(()=>Array(days).fill(""));
+  const plans = [], violations = [];
+  for (let d=0; d<days; d++) {
+    const ages = last.map(t => d - t);
+    const dayInst = accumulatedInstance(inst, ages);
+    const dueBy = (i, day) => nextAllowed(inst.sites[i], day) - last[i] > maxGap(inst.sites[i], days);
+    const due = inst.sites.map((s, i) => allowedOn(s, d) && dueBy(i, d));
+    const { routes } = buildRoutesQRO(dayInst, due);
+    const served = () => routes.reduce((a, r) => a + r.members.size, 0);
+    const length = () => routes.reduce((a, r) => a + routeKm(dayInst, r), 0);
+    const early = [];
+    const threshold = served() ? 0.5 * length() / served() : Infinity;
+    const optional = inst.sites.map((s, i) => i)
+      .filter(i => !due[i] && allowedOn(inst.sites[i], d) && dueBy(i, nextAllowed(inst.sites[i], d)))
+      .sort((a, b) => ages[b] - ages[a] || dayInst.sites[b].mu - dayInst.sites[a].mu);
+    for (const i of optional) {
+      const sid = inst.sites[i].id;
+      const best = cheapestInsertion(dayInst, routes, sid);
+      if (best && best.delta <= threshold) { applyInsertion(dayInst, routes[best.rIndex], sid, best); early.push(sid); }
+    }
+    if (twoOpt) {
+      const rng = makeRng(inst.seed, `${RNG_STREAMS.search}:day${d}`);
+      routes.forEach(r=>twoOptImprove(dayInst, r, 200, rng));
+    }
+    const visited = new Set(routes.flatMap(r => [...r.members]));
+    const skipped = [];
+    inst.sites.forEach((s, i) => {
+      if (visited.has(s.id)) {
+        if (d - last[i] > maxGap(s, days)) violations.push({ id: s.id, day: d, gap: d - last[i], H: maxGap(s, days) });
+        calendar[i][d] = due[i] ? "visit" : "early";
+        last[i] = d;
+      } else if (due[i]) { calendar[i][d] = "skip"; skipped.push(s.id); }
+      else if (!allowedOn(s, d)) calendar[i][d] = "off";
+    });
+    plans.push({ day: d, weekday: WEEKDAYS[d % 7], inst: dayInst, ages, routes, skipped, early,
+      due: inst.sites.filter((s, i) => due[i]).map(s => s.id), km: length() });
+    onProgress?.({ phase: "days", done: d + 1, total: days });
+  }
+  // bins that cannot wait for their first allowed day after the horizon count too
+  inst.sites.forEach((s, i) => {
+    const next = allowedOn(s, days) ? days : nextAllowed(s, days);
+    if (next - last[i] > maxGap(s, days)) violations.push({ id: s.id, day: next, gap: next - last[i], H: maxGap(s, days) });
+  });
+  return { days: plans, calendar, violations, km: plans.reduce((a, p) => a + p.km, 0) };
+}
+
+// ---------- Monte Carlo overflow ----------
+// One joint demand scenario (site id → volume) drawn from the same covariance the gate uses:
+// ρ model X = μ + σ(√ρ z₀ + √(1−ρ) εᵢ), factor model X = μ + Lᵢ·z + √Dᵢ εᵢ; truncated at 0.
+export function sampleScenario(inst, rng) {
+  const X = new Map();
+  if (inst.corrModel === "factor") {
+    const { rank, L, D } = inst.factors;
+    const z = Array.from({length: rank}, ()=>gaussian(rng));
+    for (const s of inst.sites) {
+      const Li = L.get(s.id);
+      let v = s.mu;
+      for (let k=0; k<rank; k++) v += Li[k] * z[k];
+      X.set(s.id, Math.max(0, v + Math.sqrt(D.get(s.id)) * gaussian(rng)));
+    }
+  } else {
+    const z0 = gaussian(rng), a = Math.sqrt(inst.rho), c = Math.sqrt(1 - inst.rho);
+    for (const s of inst.sites) X.set(s.id, Math.max(0, s.mu + s.sigma * (a*z0 + c*gaussian(rng))));
+  }
+  return X;
+}
+
+// Peak load on board: volumes add up along the route and reset at every disposal stop
+export function routeLoad(route, X) {
+  let vol = 0, peak = 0;
+  for (const idx of route.nodes) {
+    if (isDisposal(idx)) vol = 0;
+    else if (idx!==0) { vol += X.get(idx); peak = Math.max(peak, vol); }
+  }
+  return peak;
+}
+
+export function simulateOverflow(inst, routes, trials=300) {
+  return simulateOverflowDetails(inst, routes, trials).overall;
+}
+
+// One day of a route under demands X with lognormal leg and service times. The truck follows
+// the plan; once a stop no longer fits on board it heads for the next planned disposal stop
+// (dropping the stops before it) or, with none left, back to its yard (dropping the rest).
+export function simulateRouteRun(inst, route, X, rng) {
+  const nodes = route.nodes, cap = route.vehicle.capacity;
+  let at = routePoint(inst, route, nodes, 0), t = route.vehicle.start, load = 0;
+  let late = 0, dropped = 0, overflowed = false, diverting = false;
+  for (let k=1; k<nodes.length; k++) {
+    const idx = nodes[k], last = k === nodes.length-1;
+    if (diverting && !last && !isDisposal(idx)) { dropped++; continue; }
+    const p = routePoint(inst, route, nodes, k);
+    t += lognormal(inst.travel.minutes(at, p, t), legCv(inst, at, p), rng);
+    at = p;
+    if (last) break;
+    if (isDisposal(idx)) { t += lognormal(p.service, inst.serviceCv, rng); load = 0; diverting = false; continue; }
+    t = Math.max(t, p.e);
+    if (t > p.l + 1e-6) late++;
+    t += lognormal(p.service, inst.serviceCv, rng);
+    load += X.get(idx);
+    if (load > cap + 1e-9) { overflowed = true; diverting = true; }
+  }
+  return { finish: t, late, overtime: t > route.vehicle.end + 1e-6, overflowed, dropped };
+}
+
+// Wilson score interval (95 % by default) of a probability from `hits` successes in n
+// independent 0/1 trials; unlike the normal interval it is not empty at 0 or n hits
+export function runningCi(hits, n, z=1.96) {
+  if (!n) return { mean: 0, lo: 0, hi: 1, width: Infinity };
+  const mean = hits / n, k = z*z / n;
+  const centre = (mean + k/2) / (1 + k), half = z / (1 + k) * Math.sqrt(mean*(1 - mean) / n + k / (4*n));
+  return { mean, lo: Math.max(0, centre - half), hi: Math.min(1, centre + half), width: 2*half };
+}
+
+// Detailed Monte Carlo: per-route realized overflow and predicted risk ratio, plus the on-time
+// picture under random travel / service times (own stream, so demand draws are unchanged).
+// `overall` is the mean overflow rate of a used route, `any` the share of days on which at least
+// one route overflows, with its Wilson interval `ci`. With ciWidth, stops once that interval is
+// that narrow (after at least minTrials); onProgress gets { trials, estimate, lo, hi } for `any`
+// every `every` trials.
+export function simulateOverflowDetails(inst, routes, trials=300, { ciWidth=null, minTrials=100, every=25, onProgress=null } = {}){
+  const rng = makeRng(inst.seed, RNG_STREAMS.simulation);
+  const trng = makeRng(inst.seed, `${RNG_STREAMS.simulation}:time`);
+  const over = routes.map(()=>0), late = routes.map(()=>0), overtime = routes.map(()=>0);
+  const lateStops = routes.map(()=>0), dropped = routes.map(()=>0), finishes = routes.map(()=>[]);
+  let done = 0, anyDays = 0, ci = runningCi(0, 0);
+  while (done < trials) {
+    const X = sampleScenario(inst, rng);
+    let hit = false;
+    routes.forEach((r, ri)=>{
+      const run = simulateRouteRun(inst, r, X, trng);
+      if (run.overflowed) { over[ri]++; hit = true; }
+      if (run.late) late[ri]++;
+      if (run.overtime) overtime[ri]++;
+      lateStops[ri] += run.late; dropped[ri] += run.dropped;
+      finishes[ri].push(run.finish);
+    });
+    if (hit) anyDays++;
+    done++;
+    if (done % every && done < trials) continue;
+    ci = runningCi(anyDays, done);
+    onProgress?.({ trials: done, estimate: ci.mean, lo: ci.lo, hi: ci.hi });
+    if (ciWidth != null && done >= minTrials && ci.width <= ciWidth) break;
+  }
+  const n = Math.max(1, done);
+  const details = routes.map((r, ri)=>({
+    vehicleId: r.vehicle.id,
+    predictedRatio: routeThreshold(inst, r) / r.vehicle.capacity, // predicted bound ratio (fullest segment)
+    capacity: r.vehicle.capacity,
+    rate: over[ri] / n,
+    used: r.members.size > 0,
+    lateRate: late[ri] / n,           // P(at least one time-window miss)
+    lateStops: lateStops[ri] / n,     // expected missed windows
+    overtimeRate: overtime[ri] / n,   // P(back after vehicle.end)
+    dropped: dropped[ri] / n,         // expected stops dropped after an overflow
+    shiftEnd: r.vehicle.end,
+    finishes: finishes[ri],
+    finishQ: [0.5, 0.9, 0.95].map(q=>empiricalQuantile(finishes[ri], q)),
+  }));
+  const overAll = over.reduce((a,v)=>a+v, 0), used = routes.filter(r=>r.members.size > 0).length;
+  return { overall: overAll/Math.max(1, done*used), any: anyDays/n, details, trials: done, ci: [ci.lo, ci.hi] };
+}
+
+// How conservative each bound is on the given routes: its threshold at ε relative to the
+// vehicle capacity, and how often fresh Monte Carlo loads exceed that threshold (≤ ε means
+// the bound is safe, far below ε means it wastes capacity).
+export function compareBounds(inst, routes, trials=2000) {
+  // one entry per load segment (a multi-trip route is checked trip by trip)
+  const used = routes.flatMap(r=>r.segments.filter(seg=>seg.members.size).map(seg=>({ ...seg, vehicle: r.vehicle })));
+  const saa = inst.saa ?? scenarioMatrix(inst);
+  const thresholds = Object.keys(BOUND_TYPES).map(type=>used.map(r=>{
+    const loads = new Float64Array(saa.K);
+    for (const id of r.members) { const col = saa.cols.get(id); for (let k=0; k<saa.K; k++) loads[k] += col[k]; }
+    return qroThreshold(inst, { ...r, loads }, type);
+  }));
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.simulation}:compare`);
+  const exceed = thresholds.map(()=>used.map(()=>0)), overCap = used.map(()=>0);
+  for (let t=0; t<trials; t++) {
+    const X = sampleScenario(inst, rng);
+    used.forEach((r, ri)=>{
+      let load = 0;
+      for (const id of r.members) load += X.get(id);
+      if (load > r.vehicle.capacity + 1e-9) overCap[ri]++;
+      thresholds.forEach((th, b)=>{ if (load > th[ri]) exceed[b][ri]++; });
+    });
+  }
+  const mean = xs => xs.length ? xs.reduce((a, v)=>a + v, 0) / xs.length : 0;
+  return {
+    eps: inst.eps, trials,
+    overflow: mean(overCap.map(c=>c / trials)),
+    bounds: Object.entries(BOUND_TYPES).map(([type, label], b)=>({
+      type, label,
+      ratio: mean(thresholds[b].map((th, ri)=>th / used[ri].vehicle.capacity)),
+      exceed: mean(exceed[b].map(c=>c / trials)),
+      maxExceed: Math.max(0, ...exceed[b].map(c=>c / trials)),
+      infeasible: thresholds[b].filter((th, ri)=>th > used[ri].vehicle.capacity + 1e-9).length,
+    })),
+  };
+}
+
+// ---------- Instance assembly and solve ----------
+// Parameters → instance object read by every planner. `factors` may be passed in (the app
+// memoises them); `travelMatrix` (from parseTravelMatrix) replaces straight lines where it covers.
+export function makeInstance({
+  sites, vehicles, depots=[makeDepot()], facilities=[], seed=0, eps=0.05, speedKmh=30, rho=0, corrModel="rho",
+  factorRank=3, factorShare=0.5, factors=null, bMult=1.5, boundType="bernstein", emissionPerKm=0.9,
+  skipPenalty=150, overflowCost=40, riskScaled=false, travelCv=0.2, serviceCv=0.3, lateRisk=0, travelMatrix=null, speedProfile=null,
+  planner="qro", marginFill=0.85,
+}) {
+  const sitesByIdx = new Map();
+  sites.forEach(s=>sitesByIdx.set(s.id, s));
+  const inst = {
+    depot: depots[0], depots, facilities, sites, sitesByIdx, vehicles, seed,
+    eps, speedKmh, rho, corrModel, factors: factors ?? genFactorModel(sites, factorRank, factorShare, seed), bMult,
+    boundType, emissionPerKm, skipPenalty, overflowCost, riskScaled, travelCv, serviceCv, lateRisk, saa: null,
+    planner, marginFill: clamp(marginFill, 0.05, 1),
+  };
+  if (boundType === "saa") inst.saa = scenarioMatrix(inst);
+  inst.travel = travelMatrix
+    ? matrixTravel(travelMatrix, matrixPoints(travelMatrix, inst), speedKmh, speedProfile)
+    : euclideanTravel(speedKmh, speedProfile);
+  return inst;
+}
+
+// Greedy QRO construction (+ 2-opt), skip / unskip moves and the KPI set the app shows.
+// onProgress gets { phase, done, total } through construction, 2-opt (per route) and skip moves.
+export function solveInstance(inst, visitMask=inst.sites.map(()=>true), { twoOpt=false, onProgress=null } = {}) {
+  const built = buildRoutesQRO(inst, visitMask, onProgress);
+  const routes = built.routes;
+  if (twoOpt) {
+    const rng = makeRng(inst.seed, RNG_STREAMS.search);
+    routes.forEach((r, k)=>{
+      twoOptImprove(inst, r, 200, rng);
+      onProgress?.({ phase: "2-opt", done: k + 1, total: routes.length });
+    });
+  }
+  onProgress?.({ phase: "skip moves", done: 0, total: 1 });
+  const skipped = skipUnskipImprove(inst, routes, built.skipped, visitMask);
+  return summarizeSolution(inst, routes, skipped, visitMask, { twoOpt });
+}
+
+// Solution object (routes, skip report, KPIs and per-route checks) for a given set of routes,
+// whether built by solveInstance or edited by hand. `extra` is copied onto it.
+export function summarizeSolution(inst, routes, skipped, visitMask=inst.sites.map(()=>true), extra={}) {
+  const skips = skipReport(inst, routes, skipped, visitMask);
+  // the objective's terms; sites excluded by the visit mask cost nothing
+  const penaltyCost = skips.reduce((a, x)=>a + (x.reason === "excluded" ? 0 : x.penalty), 0);
+  const riskCost = routes.reduce((a, r)=>a + routeRiskCost(inst, r), 0);
+  const objective = solutionObjective(inst, routes, skipped, visitMask);
+  const km = routes.reduce((acc,r)=>acc + routeKm(inst, r), 0);
+  const minutes = routes.reduce((acc,r)=>acc + (r.arrival[r.arrival.length-1] - r.vehicle.start), 0);
+  const co2 = routes.reduce((acc,r)=>acc + routeKm(inst, r) * vehicleEmission(inst, r.vehicle), 0);
+
+  // Enhanced KPIs
+  const totalSites = inst.sites.length;
+  const visitedSites = totalSites - skipped.length;
+  const utilizationRate = visitedSites / totalSites;
+  const avgRouteLength = km / routes.filter(r => r.nodes.length > 2).length || 0;
+  const activeVehicles = routes.filter(r => r.nodes.length > 2).length;
+  const vehicleUtilization = activeVehicles / routes.length;
+
+  // Capacity utilization (every trip between disposals refills the truck's capacity)
+  const disposals = routes.reduce((acc, r) => acc + r.nodes.filter(isDisposal).length, 0);
+  const totalCapacityUsed = routes.reduce((acc, r) => acc + r.muSum, 0);
+  const totalCapacityAvailable = routes.reduce((acc, r) => acc + r.vehicle.capacity * r.segments.length, 0);
+  const capacityUtilization = totalCapacityUsed / totalCapacityAvailable;
+
+  // Risk metrics
+  const avgRiskPerRoute = routes.map(r => routeThreshold(inst, r) / r.vehicle.capacity);
+  const maxRiskRatio = Math.max(...avgRiskPerRoute, 0);
+  const avgRiskRatio = avgRiskPerRoute.reduce((a,b) => a + b, 0) / Math.max(1, avgRiskPerRoute.length);
+
+  // Time window compliance
+  const twViolations = routes.reduce((acc, r) => {
+    let violations = 0;
+    for (let i = 1; i < r.nodes.length - 1; i++) {
+      if (isDisposal(r.nodes[i])) continue;
+      const site = inst.sitesByIdx.get(r.nodes[i]);
+      if (r.arrival[i] > site.l + 1e-6) violations++;
+    }
+    return acc + violations;
+  }, 0);
+
+  // Economic metrics: per-vehicle €/km and fixed cost, example driver wage
+  const driverCostPerHour = 25; // €/hour
+
+  const fuelCost = routes.reduce((acc, r) => acc + (r.vehicle.costPerKm ?? 0) * routeKm(inst, r), 0);
+  const driverCost = (minutes / 60) * driverCostPerHour;
+  const vehicleCost = routes.reduce((acc, r) => acc + (r.members.size ? (r.vehicle.fixedCost ?? 0) : 0), 0);
+  const totalOperationalCost = fuelCost + driverCost + vehicleCost;
+
+  // Service quality
+  const avgServiceTime = routes.reduce((acc, r) => {
+    let serviceTime = 0;
+    for (let i = 1; i < r.nodes.length - 1; i++) {
+      if (isDisposal(r.nodes[i])) continue;
+      const site = inst.sitesByIdx.get(r.nodes[i]);
+      serviceTime += site.service;
+    }
+    return acc + serviceTime;
+  }, 0);
+
+  const longestRoute = Math.max(...routes.map(r =>
+    r.arrival[r.arrival.length-1] - r.vehicle.start), 0);
+  const shortestRoute = Math.min(...routes.filter(r => r.nodes.length > 2)
+    .map(r => r.arrival[r.arrival.length-1] - r.vehicle.start), Infinity);
+  const routeBalance = shortestRoute === Infinity ? 0 : shortestRoute / longestRoute;
+
+  // construction keeps every route feasible; manual edits and pins may not
+  const checks = routes.map(r=>routeCheck(inst, r));
+
+  return {
+    seed: inst.seed, ...extra, routes, skipped, skips, penaltyCost, riskCost, objective, km, minutes, co2,
+    // Enhanced metrics
+    totalSites, visitedSites, utilizationRate, avgRouteLength, activeVehicles,
+    vehicleUtilization, capacityUtilization, disposals, maxRiskRatio, avgRiskRatio,
+    twViolations, fuelCost, driverCost, vehicleCost, totalOperationalCost,
+    avgServiceTime, longestRoute, shortestRoute, routeBalance,
+    checks, violations: checks.filter(c=>!c.gateOk || !c.timeOk).length,
+  };
+}
+
+// ---------- Ruin and recreate (anytime improvement) ----------
+function shuffled(list, rng) {
+  const out = list.slice();
+  for (let i=out.length-1; i>0; i--) { const j = Math.floor(rng()*(i+1)); [out[i], out[j]] = [out[j], out[i]]; }
+  return out;
+}
+
+// Improve a solution by ruin and recreate: each round removes 10–30 % of the unpinned stops
+// (at random, or the ones nearest a random stop), re-inserts them with the skipped sites in
+// random order, then 2-opt and skip / unskip moves; the result is kept when it is cheaper.
+// Runs `iters` rounds, or with budgetMs as many as fit in that time. onProgress gets
+// { iteration, cost, best, overflow (expected overflowing trucks of the best plan), elapsed } per round.
+export function improveSolution(inst, solution, visitMask=inst.sites.map(()=>true), { iters=200, budgetMs=null, onProgress=null } = {}) {
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.search}:improve`);
+  const allowed = new Set(inst.sites.filter((s, i)=>visitMask[i]).map(s=>s.id));
+  const started = Date.now();
+  const routes0 = solution.routes.map(r=>rebuildRoute(inst, r, r.nodes));
+  let best = { routes: routes0, skipped: solution.skipped.slice(), cost: solutionObjective(inst, routes0, solution.skipped, visitMask) };
+  let it = 0;
+  while (budgetMs != null ? Date.now() - started < budgetMs : it < iters) {
+    it++;
+    const stops = best.routes.flatMap(r=>r.nodes.slice(r.fixed).filter(idx=>idx > 0 && pinnedRoute(best.routes, inst.sitesByIdx.get(idx)) < 0));
+    const q = Math.min(stops.length, Math.max(1, Math.round(stops.length * (0.1 + 0.2*rng()))));
+    let removed;
+    if (rng() < 0.5) removed = shuffled(stops, rng).slice(0, q);
+    else {
+      const s0 = inst.sitesByIdx.get(stops[Math.floor(rng()*stops.length)]);
+      removed = stops.slice().sort((a, b)=>dist(inst.sitesByIdx.get(a), s0) - dist(inst.sitesByIdx.get(b), s0)).slice(0, q);
+    }
+    const out = new Set(removed);
+    const routes = best.routes.map(r=>rebuildRoute(inst, r, r.nodes.filter(idx=>!out.has(idx))));
+    let skipped = best.skipped.filter(id=>!allowed.has(id));
+    for (const sid of shuffled([...removed, ...best.skipped.filter(id=>allowed.has(id))], rng)) {
+      const ins = cheapestInsertion(inst, routes, sid);
+      if (ins) applyInsertion(inst, routes[ins.rIndex], sid, ins);
+      else skipped.push(sid);
+    }
+    routes.forEach(r=>twoOptImprove(inst, r, 100, rng));
+    skipped = skipUnskipImprove(inst, routes, skipped, visitMask);
+    const cost = solutionObjective(inst, routes, skipped, visitMask);
+    if (cost < best.cost - 1e-9) best = { routes, skipped, cost };
+    onProgress?.({ iteration: it, cost, best: best.cost, overflow: expectedOverflows(inst, best.routes), elapsed: Date.now() - started });
+  }
+  return summarizeSolution(inst, best.routes, best.skipped, visitMask, { twoOpt: solution.twoOpt, improved: it });
+}
+
+// ---------- Manual edits ----------
+// Feasibility of one route as it stands: every load segment under the planner's gate, the
+// schedule meeting windows and shift end (scheduleFor, so the late-risk margin counts too),
+// plus the stops that arrive after their window and the QRO risk ratio of the fullest trip.
+export function routeCheck(inst, route) {
+  const cap = route.vehicle.capacity;
+  const overSegments = route.segments.map((seg, k)=>gateThreshold(inst, seg) > cap + 1e-9 ? k : -1).filter(k=>k >= 0);
+  const timeOk = route.members.size === 0 || scheduleFor(inst, route, route.nodes) !== null;
+  const late = route.nodes.filter((idx, k)=>idx > 0 && k < route.nodes.length-1 && route.arrival[k] > inst.sitesByIdx.get(idx).l + 1e-6);
+  const end = route.arrival[route.arrival.length-1];
+  return {
+    vehicleId: route.vehicle.id, km: routeKm(inst, route), ratio: routeThreshold(inst, route) / cap,
+    gateOk: !overSegments.length, overSegments, timeOk, late, overtime: end > route.vehicle.end + 1e-6,
+  };
+}
+
+// Routes with `sid` taken off its route (if it is on one); only that route is rebuilt
+export function withoutStop(inst, routes, sid) {
+  return routes.map(r=>r.members.has(sid) ? rebuildRoute(inst, r, r.nodes.filter(idx=>idx!==sid)) : r);
+}
+
+// What inserting `sid` at `pos` of routes[rIndex] would do: gate (qroFeasible's capacity
+// part) and time check on the route as it is, the route after the insertion, its QRO risk
+// ratio and the km it adds. `routes` should not contain `sid` (see withoutStop).
+export function previewInsert(inst, routes, sid, rIndex, pos) {
+  const base = routes[rIndex];
+  const gateOk = gateFeasible(inst, base, sid, pos);
+  const timeOk = timeFeasibleAfterInsert(inst, base, sid, pos);
+  const nodes = base.nodes.slice(); nodes.splice(pos, 0, sid);
+  const route = rebuildRoute(inst, base, nodes);
+  return { rIndex, pos, gateOk, timeOk, feasible: gateOk && timeOk, route, dKm: routeKm(inst, route) - routeKm(inst, base), ratio: routeThreshold(inst, route) / route.vehicle.capacity };
+}
+
+// Move `sid` to `to` = { rIndex, pos } (positions in the routes without it), or off every
+// route when `to` is null. The result is a summarized solution marked `manual`.
+export function moveStop(inst, solution, sid, to, visitMask) {
+  const routes = withoutStop(inst, solution.routes, sid);
+  let skipped = solution.skipped.filter(id=>id!==sid);
+  if (to) routes[to.rIndex] = previewInsert(inst, routes, sid, to.rIndex, to.pos).route;
+  else skipped = [...skipped, sid];
+  return summarizeSolution(inst, routes, skipped, visitMask, { twoOpt: solution.twoOpt, manual: true });
+}
+
+// The same plan on a changed instance (sites or yards moved, added or deleted, fleet or
+// parameters edited): routes follow their vehicle id, stops that no longer exist are dropped
+// and sites on no route count as skipped.
+export function reviseSolution(inst, solution, visitMask) {
+  const old = new Map(solution.routes.map(r=>[r.vehicle.id, r]));
+  const routes = inst.vehicles.map(v=>{
+    const r = old.get(v.id);
+    const nodes = (r?.nodes ?? [0, 0]).filter(idx=>idx === 0 || (isDisposal(idx) ? -idx - 1 < inst.facilities.length : inst.sitesByIdx.has(idx)));
+    return rebuildRoute(inst, new Route(v, inst.factors.rank), nodes);
+  });
+  const routed = new Set(routes.flatMap(r=>[...r.members]));
+  const skipped = inst.sites.filter(s=>!routed.has(s.id)).map(s=>s.id);
+  return summarizeSolution(inst, routes, skipped, visitMask, { twoOpt: solution.twoOpt, manual: solution.manual });
+}
+
+// Every planner in PLANNERS on the same instance, scored on one shared set of Monte Carlo
+// weeks: `days` joint demand scenarios per week, the same draws for every plan. A route
+// overflows on a day when its peak load exceeds capacity; a week fails when any route does.
+// onProgress gets { phase: "planners", done, total } after every planner.
+export function comparePlanners(inst, visitMask=inst.sites.map(()=>true), { twoOpt=false, trials=500, days=5, onProgress=null } = {}) {
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.simulation}:planners`);
+  const weeks = Array.from({length: trials}, ()=>Array.from({length: days}, ()=>sampleScenario(inst, rng)));
+  const planners = Object.entries(PLANNERS);
+  return planners.map(([planner, label], k)=>{
+    const solution = solveInstance({ ...inst, planner }, visitMask, { twoOpt });
+    const used = solution.routes.filter(r=>r.members.size);
+    const over = used.map(()=>0);
+    let daily = 0, weekly = 0;
+    for (const week of weeks) {
+      let bad = false;
+      for (const X of week) {
+        let any = false;
+        used.forEach((r, ri)=>{ if (routeLoad(r, X) > r.vehicle.capacity + 1e-9) { over[ri]++; any = true; } });
+        if (any) { daily++; bad = true; }
+      }
+      if (bad) weekly++;
+    }
+    const n = Math.max(1, trials * days);
+    onProgress?.({ phase: "planners", done: k + 1, total: planners.length });
+    return {
+      planner, label, solution,
+      km: solution.km, hours: solution.minutes / 60, skipped: solution.skipped.length,
+      cost: solution.objective,
+      perRoute: used.length ? over.reduce((a, v)=>a + v, 0) / (n * used.length) : 0, // mean over used routes
+      worstRoute: Math.max(0, ...over.map(c=>c / n)),
+      daily: daily / n,                       // P(some route overflows on a day)
+      weekly: weekly / Math.max(1, trials),   // P(some route overflows during the week)
+    };
+  });
+}
+
+// ---------- Pareto sweep ----------
+// Objectives of the sweep, all minimised: distance (km), overflow (share of simulated days on
+// which some truck's peak load exceeds its capacity) and CO₂ (kg, per-vehicle factors). Skipped
+// sites count too, since they carry no load: a plan that serves fewer sites never dominates.
+export const PARETO_KEYS = ["km", "overflow", "co2", "skipped"];
+
+// "0.01, 0.05 0.1" → [0.01, 0.05, 0.1]: finite numbers, deduplicated and sorted
+export function parseNumberList(text) {
+  return [...new Set(String(text ?? "").split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isFinite))].sort((a, b)=>a - b);
+}
+
+// Indices of the points that no other point matches or beats on every key and beats on one
+export function paretoFront(points, keys=PARETO_KEYS) {
+  return points.map((_, i)=>i).filter(i=>!points.some((q, j)=>j !== i
+    && keys.every(k=>q[k] <= points[i][k]) && keys.some(k=>q[k] < points[i][k])));
+}
+
+// A fleet of k vehicles: the first k of `vehicles`, then copies of the last one with new ids
+export function fleetOfSize(vehicles, k) {
+  const last = vehicles[vehicles.length - 1], maxId = Math.max(...vehicles.map(v=>v.id));
+  return Array.from({ length: k }, (_, i)=>i < vehicles.length ? vehicles[i] : { ...last, id: maxId + i - vehicles.length + 1 });
+}
+
+// Solve every combination of ε, bound type and fleet size on the instance `params` describe
+// (makeInstance arguments; the bound type only matters to the QRO planner) and score each plan
+// on the same `trials` simulated days. Points carry their solution and `front` (non-dominated
+// over PARETO_KEYS).
+// onProgress gets { phase: "plans", done, total } after every plan.
+export function paretoSweep(params, visitMask=params.sites.map(()=>true), { eps=[params.eps ?? 0.05], boundTypes=[params.boundType ?? "bernstein"],
+  fleetSizes=[params.vehicles.length], twoOpt=true, trials=500, onProgress=null } = {}) {
+  const base = makeInstance(params);
+  const rng = makeRng(base.seed, `${RNG_STREAMS.simulation}:pareto`);
+  const days = Array.from({ length: trials }, ()=>sampleScenario(base, rng));
+  const combos = boundTypes.flatMap(boundType=>eps.flatMap(e=>fleetSizes.map(fleet=>({ eps: e, boundType, fleet }))));
+  const points = combos.map((c, i)=>{
+    const inst = makeInstance({ ...params, factors: base.factors, eps: c.eps, boundType: c.boundType, vehicles: fleetOfSize(params.vehicles, c.fleet) });
+    const solution = solveInstance(inst, visitMask, { twoOpt });
+    const used = solution.routes.filter(r=>r.members.size);
+    const overDays = days.filter(X=>used.some(r=>routeLoad(r, X) > r.vehicle.capacity + 1e-9)).length;
+    onProgress?.({ phase: "plans", done: i + 1, total: combos.length });
+    return {
+      ...c, solution, km: solution.km, co2: solution.co2, overflow: overDays / Math.max(1, trials),
+      skipped: solution.skipped.length, cost: solution.objective,
+    };
+  });
+  const front = new Set(paretoFront(points));
+  return points.map((p, i)=>({ ...p, front: front.has(i) }));
+}
+
+// ---------- Day execution with sensor updates ----------
+// One simulated day on the planned clock. Fill sensors report new estimates for single bins;
+// at each reading time the stops a truck has already left for stay, and the rest of every
+// route is re-planned under the gate on the updated fills (sites may change trucks, be
+// skipped or unskipped) unless the current plan is still as feasible and no dearer. The
+// static plan drives on unchanged. Both are scored on the same realised fills.
+
+// Sensor readings file → { readings: [{ t, id, mu, sigma }], errors }. CSV with time (minutes
+// from shift start, or h:mm), id and mu (also fill / level) plus an optional sigma, or JSON:
+// an array of such objects or { "readings": [...] }. A reading without sigma is exact.
+const READING_ALIASES = {
+  time: ["time", "t", "minute", "at"], id: ["id", "site", "site_id", "siteid"],
+  mu: ["mu", "fill", "level", "mean"], sigma: ["sigma", "sd", "std"],
+};
+export function parseSensorReadings(name, text) {
+  const errors = [], readings = [];
+  const fail = message => ({ readings: [], errors: [{ file: name, row: "-", message }] });
+  const canonical = raw => {
+    const out = {};
+    for (const [k, v] of Object.entries(raw ?? {})) {
+      const key = String(k).trim().toLowerCase();
+      const canon = Object.keys(READING_ALIASES).find(c => READING_ALIASES[c].includes(key));
+      if (canon) out[canon] = typeof v === "string" ? v.trim() : v;
+    }
+    return out;
+  };
+  let rows;
+  if (/\.json$/i.test(name) || /^\s*[\[{]/.test(text)) {
+    let data;
+    try { data = JSON.parse(text); } catch (err) { return fail(`invalid JSON: ${err.message}`); }
+    const list = Array.isArray(data) ? data : data?.readings;
+    if (!Array.isArray(list)) return fail("expected an array of readings or { \"readings\": [...] }");
+    rows = list.map((raw, i) => ({ row: `[${i}]`, rec: canonical(raw) }));
+  } else {
+    const csv = parseCsv(text);
+    if (csv.length < 2) return fail("CSV needs a header row and at least one data row");
+    const header = csv[0].cells;
+    rows = csv.slice(1).map(({ line, cells }) => ({ row: line, rec: canonical(Object.fromEntries(header.map((h, k) => [h, cells[k]]))) }));
+  }
+  for (const { row, rec } of rows) {
+    const problems = [];
+    const hm = /^(\d+):(\d{2})$/.exec(String(rec.time ?? ""));
+    if (hm) rec.time = 60 * +hm[1] + +hm[2];
+    const t = numField(rec, "time", problems, { required: true, min: 0 });
+    const id = numField(rec, "id", problems, { required: true });
+    if (id !== undefined && (!Number.isInteger(id) || id < 1)) problems.push(`id must be a positive integer (got "${rec.id}")`);
+    const mu = numField(rec, "mu", problems, { required: true, min: 0 });
+    const sigma = numField(rec, "sigma", problems, { min: 0, fallback: 0 });
+    if (problems.length) problems.forEach(message => errors.push({ file: name, row, message }));
+    else readings.push({ t, id, mu, sigma });
+  }
+  return { readings: errors.length ? [] : readings.sort((a, b) => a.t - b.t), errors };
+}
+
+// Built-in sensors on a `share` of the sites, read every `every` minutes of the shift. The
+// estimate closes in on the day's realised fill X linearly over the shift:
+// μₜ = (1−w) μ + w X, σₜ = (1−w) σ with w the elapsed share of the shift.
+export function simulateSensorReadings(inst, X, { share=0.5, every=60 } = {}) {
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.simulation}:sensors`);
+  const t0 = Math.min(...inst.vehicles.map(v=>v.start)), t1 = Math.max(...inst.vehicles.map(v=>v.end));
+  const equipped = inst.sites.filter(()=>rng() < share);
+  const readings = [];
+  for (let t = t0 + every; t < t1; t += every) {
+    const w = (t - t0) / (t1 - t0);
+    for (const s of equipped) readings.push({ t, id: s.id, mu: (1 - w) * s.mu + w * X.get(s.id), sigma: (1 - w) * s.sigma });
+  }
+  return readings;
+}
+
+// The instance with some sites' fill estimates replaced: `fills` maps site id → { mu, sigma }.
+// Factor loadings, idiosyncratic variance and the Bernstein cap scale with σ, so an exact
+// reading (σ = 0) drops out of every covariance term.
+export function observedInstance(inst, fills) {
+  if (!fills.size) return inst;
+  const ratio = new Map();
+  const sites = inst.sites.map(s => {
+    const f = fills.get(s.id);
+    if (!f) return s;
+    const r = s.sigma > 0 ? f.sigma / s.sigma : 0;
+    ratio.set(s.id, r);
+    return { ...s, mu: f.mu, sigma: f.sigma, b: siteCap(inst, s) * r };
+  });
+  const L = new Map(inst.factors.L), D = new Map(inst.factors.D);
+  for (const [id, r] of ratio) { L.set(id, inst.factors.L.get(id).map(v => v * r)); D.set(id, inst.factors.D.get(id) * r * r); }
+  const out = { ...inst, sites, sitesByIdx: new Map(sites.map(s => [s.id, s])), factors: { ...inst.factors, L, D } };
+  if (inst.saa) out.saa = scenarioMatrix(out, inst.saa.K);
+  return out;
+}
+
+// Time the truck leaves node k of its route
+function departureAt(inst, route, k) {
+  return route.arrival[k] + (k ? routePoint(inst, route, route.nodes, k).service : 0);
+}
+// Sites of a route the truck has reached by time t
+export function visitedBy(route, t) {
+  return route.nodes.filter((idx, k)=>idx > 0 && route.arrival[k] <= t);
+}
+// Where a truck is at time t on the planned clock: at a stop, or part way along a leg
+export function truckAt(inst, route, t) {
+  const n = route.nodes.length;
+  for (let k=0; k<n-1; k++) {
+    const a = routePoint(inst, route, route.nodes, k), b = routePoint(inst, route, route.nodes, k+1);
+    const depart = departureAt(inst, route, k);
+    if (t < depart) return { x: a.x, y: a.y };
+    const leg = inst.travel.minutes(a, b, depart);
+    if (t < depart + leg) { const f = (t - depart) / leg; return { x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y) }; }
+  }
+  const end = routePoint(inst, route, route.nodes, n-1);
+  return { x: end.x, y: end.y };
+}
+// Nodes of a route that are settled by time t: those the truck has left for. An unused truck
+// stays free and leaves its yard no earlier than t.
+function drivenRoute(inst, route, t) {
+  if (!route.members.size) return { vehicle: { ...route.vehicle, start: Math.max(route.vehicle.start, t) }, fixed: 1 };
+  let fixed = 1;
+  while (fixed < route.nodes.length && departureAt(inst, route, fixed - 1) <= t) fixed++;
+  return { vehicle: route.vehicle, fixed };
+}
+
+// Fill estimates at time t: the latest reading of each site, and the realised fill (exact)
+// of every site the plan has already emptied
+function fillsAt(readings, routes, X, t) {
+  const fills = new Map();
+  for (const r of readings) if (r.t <= t) fills.set(r.id, { mu: r.mu, sigma: r.sigma });
+  for (const r of routes) for (const id of visitedBy(r, t)) fills.set(id, { mu: X.get(id), sigma: 0 });
+  return fills;
+}
+
+// Expected number of trucks whose load overflows: per route 1 − Π(1 − P(segment load > C))
+// under a Normal approximation of each segment; emptied bins count with their realised fill
+export function expectedOverflows(inst, routes) {
+  return routes.reduce((acc, r)=>acc + (r.members.size ? routeOverflowProb(inst, r) : 0), 0);
+}
+
+// Drive routes under realised fills X up to time t: km driven, litres that did not fit on
+// board (the truck takes what fits and leaves the rest) and the stops where that happened
+export function executeRoutes(inst, routes, X, t=Infinity) {
+  let km = 0, spill = 0;
+  const overflows = [];
+  for (const r of routes) {
+    let load = 0;
+    for (let k=1; k<r.nodes.length; k++) {
+      if (r.arrival[k] > t) break;
+      km += inst.travel.km(routePoint(inst, r, r.nodes, k-1), routePoint(inst, r, r.nodes, k));
+      const idx = r.nodes[k];
+      if (isDisposal(idx)) { load = 0; continue; }
+      if (!idx) continue;
+      const x = X.get(idx), take = Math.min(x, Math.max(0, r.vehicle.capacity - load));
+      if (x - take > 1e-9) { spill += x - take; overflows.push({ vehicleId: r.vehicle.id, id: idx, t: r.arrival[k], litres: x - take }); }
+      load += take;
+    }
+  }
+  return { km, spill, overflows, trucks: new Set(overflows.map(o=>o.vehicleId)).size };
+}
+
+// Re-plan the open part of every route at time t on `day` (the instance with today's fill
+// estimates): driven prefixes stay, the remaining stops and the skipped sites are inserted
+// again (pinned, then by σ, μ), improved with 2-opt and skip / unskip moves.
+function replanAt(inst, day, routes, skipped, visitMask, t, twoOpt, rng) {
+  const allowed = new Set(inst.sites.filter((s, i)=>visitMask[i]).map(s=>s.id));
+  const driven = routes.map(r=>drivenRoute(inst, r, t));
+  const kept = routes.map((r, i)=>rebuildRoute(day, driven[i], r.nodes));
+  const open = routes.map((r, i)=>rebuildRoute(day, driven[i], [...r.nodes.slice(0, Math.min(driven[i].fixed, r.nodes.length - 1)), 0]));
+  const pool = [...routes.flatMap((r, i)=>r.nodes.slice(driven[i].fixed).filter(idx=>idx > 0)), ...skipped.filter(id=>allowed.has(id))];
+  let out = skipped.filter(id=>!allowed.has(id));
+  const isPinned = sid => pinnedRoute(open, day.sitesByIdx.get(sid)) >= 0;
+  pool.sort((a, b)=>{
+    const sa = day.sitesByIdx.get(a), sb = day.sitesByIdx.get(b);
+    return (isPinned(b) - isPinned(a)) || (sb.sigma - sa.sigma) || (sb.mu - sa.mu);
+  });
+  for (const sid of pool) {
+    const pinned = pinnedRoute(open, day.sitesByIdx.get(sid));
+    const ins = cheapestInsertion(day, open, sid) ?? (pinned >= 0 ? forcedInsertion(day, open[pinned], sid) : null);
+    if (ins) applyInsertion(day, open[ins.rIndex ?? pinned], sid, ins);
+    else out.push(sid);
+  }
+  if (twoOpt) open.forEach(r=>twoOptImprove(day, r, 200, rng));
+  out = skipUnskipImprove(day, open, out, visitMask);
+  // fewer open segments over the gate first, then the € objective
+  const score = (rs, sk) => ({
+    over: rs.reduce((a, r)=>a + r.segments.slice(segmentAt(r.nodes, r.fixed)).filter(seg=>gateThreshold(day, seg) > r.vehicle.capacity + 1e-9).length, 0),
+    cost: solutionObjective(day, rs, sk, visitMask),
+  });
+  const a = score(kept, skipped), b = score(open, out);
+  const keep = a.over < b.over || (a.over === b.over && a.cost <= b.cost + 1e-9);
+  return keep ? { routes: kept, skipped, replanned: false } : { routes: open, skipped: out, replanned: true };
+}
+
+// Execute `solution` over one day. Readings come from a file (`readings`, see
+// parseSensorReadings; with lastIsTruth the last reading of a site is what its truck finds)
+// or from simulateSensorReadings. Returns the snapshots of the adaptive plan at each reading
+// time, a timeline of both plans (planned km, km driven, expected and realised overflow) and
+// the outcome of each on the realised fills. Each snapshot carries the `fills` its instance was
+// observed with; onProgress gets { phase: "readings", done, total } after every reading time.
+export function executeDay(inst, solution, { readings=null, lastIsTruth=false, share=0.5, every=60,
+  visitMask=inst.sites.map(()=>true), twoOpt=solution.twoOpt ?? false, onProgress=null } = {}) {
+  const X = sampleScenario(inst, makeRng(inst.seed, `${RNG_STREAMS.simulation}:day`));
+  const source = readings ? "file" : "simulated";
+  if (!readings) readings = simulateSensorReadings(inst, X, { share, every });
+  const ignored = readings.filter(r=>!inst.sitesByIdx.has(r.id)).length;
+  readings = readings.filter(r=>inst.sitesByIdx.has(r.id)).sort((a, b)=>a.t - b.t);
+  if (lastIsTruth) for (const r of readings) X.set(r.id, r.mu);
+  const t0 = Math.min(...inst.vehicles.map(v=>v.start)), t1 = Math.max(...inst.vehicles.map(v=>v.end));
+  const times = [...new Set(readings.map(r=>r.t))].filter(t=>t >= t0 && t < t1);
+  const rng = makeRng(inst.seed, `${RNG_STREAMS.search}:execute`);
+
+  let routes = solution.routes, skipped = solution.skipped;
+  const snapshots = [{ t: t0, inst, fills: new Map(), solution, replanned: false, updates: 0 }];
+  times.forEach((t, k)=>{
+    const fills = fillsAt(readings, routes, X, t);
+    const day = observedInstance(inst, fills);
+    const step = replanAt(inst, day, routes, skipped, visitMask, t, twoOpt, rng);
+    ({ routes, skipped } = step);
+    snapshots.push({ t, inst: day, fills, replanned: step.replanned, updates: readings.filter(r=>r.t === t).length,
+      solution: summarizeSolution(day, routes, skipped, visitMask, { twoOpt, t }) });
+    onProgress?.({ phase: "readings", done: k + 1, total: times.length });
+  });
+
+  // both plans at the start, at every reading time and at the end of the day
+  const planned = (rs, day) => rs.reduce((a, r)=>a + routeKm(day, r), 0);
+  const timeline = [t0, ...times.filter(t=>t > t0), t1].map(t=>{
+    const snap = snapshots.filter(s=>s.t <= t).pop();
+    const side = (rs, day) => {
+      const riskInst = observedInstance({ ...inst, saa: null }, fillsAt(readings, rs, X, t)); // Normal risk: no scenarios needed
+      const run = executeRoutes(inst, rs, X, t);
+      return { planKm: planned(rs, day), km: run.km, spill: run.spill,
+        risk: expectedOverflows(riskInst, rs.map(r=>rebuildRoute(riskInst, r, r.nodes))) };
+    };
+    return { t, static: side(solution.routes, inst), adaptive: side(snap.solution.routes, snap.inst) };
+  });
+  const outcome = (sol, day) => {
+    const run = executeRoutes(inst, sol.routes, X);
+    return { km: planned(sol.routes, day), spill: run.spill, overflows: run.overflows, trucks: run.trucks,
+      served: sol.routes.reduce((a, r)=>a + r.members.size, 0), skipped: sol.skipped.length };
+  };
+  const last = snapshots[snapshots.length - 1];
+  return {
+    t0, t1, source, readings: readings.length, ignored, times, snapshots, timeline,
+    replans: snapshots.filter(s=>s.replanned).length,
+    static: outcome(solution, inst), adaptive: outcome(last.solution, last.inst),
+  };
+}
+
+// ---------- Export ----------
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+export function toCsv(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+const round = (v, d=2) => v == null ? null : Math.round(v * 10**d) / 10**d;
+// Minutes from the start of the day → "h:mm"
+export function clockOf(min) {
+  const m = Math.round(min);
+  return `${Math.floor(m / 60)}:${String(m % 60).padStart(2, "0")}`;
+}
+
+// Instance + parameters + seed in the JSON import format, so importInstanceFiles reads it back
+// to the same instance: canvas x / y are kept (the `geo` frame maps them back to lat / lon),
+// pattern as weekday names, vehicles with their ids, and the loaded road matrix if any.
+export const INSTANCE_FORMAT = "q-route-instance/1";
+export function instanceDocument(inst, { params={}, excluded=[], travelMatrix=null, geo=null } = {}) {
+  const site = s => {
+    const out = { id: s.id, x: s.x, y: s.y, mu: s.mu, sigma: s.sigma, service: s.service, e: s.e, l: s.l };
+    for (const k of ["b", "loadings", "H", "freq", "V", "penalty", "pin"]) if (s[k] != null) out[k] = s[k];
+    if (s.pattern) out.pattern = s.pattern.map(d => WEEKDAYS[d]);
+    return out;
+  };
+  const vehicle = v => ({
+    id: v.id, capacity: v.capacity, start: v.start, end: v.end, start_depot: v.startDepot ?? 0, end_depot: v.endDepot ?? 0,
+    fixed_cost: v.fixedCost ?? 0, cost_per_km: v.costPerKm ?? 0, ...(v.emission != null && { emission: v.emission }),
+  });
+  return {
+    format: INSTANCE_FORMAT, seed: inst.seed, params, excluded, ...(geo && { geo }),
+    depots: inst.depots.map(d => ({ x: d.x, y: d.y })),
+    facilities: inst.facilities.map(f => ({ x: f.x, y: f.y, service: f.service })),
+    sites: inst.sites.map(site),
+    vehicles: inst.vehicles.map(vehicle),
+    ...(travelMatrix && { travelMatrix }),
+  };
+}
+
+// Stops of one route in driving order: yard, sites and disposal stops with ETA (service
+// start, after any wait for the window), window, expected fill and expected load on board
+export function routeManifest(inst, route) {
+  let load = 0;
+  return route.nodes.map((idx, k) => {
+    const p = routePoint(inst, route, route.nodes, k);
+    const yard = k === 0 || k === route.nodes.length - 1;
+    const type = yard ? (k === 0 ? "start" : "end") : isDisposal(idx) ? "disposal" : "site";
+    if (type === "disposal") load = 0;
+    if (type === "site") load += p.mu;
+    const id = type === "start" ? `D${route.vehicle.startDepot ?? 0}` : type === "end" ? `D${route.vehicle.endDepot ?? 0}`
+      : type === "disposal" ? `F${-idx - 1}` : idx;
+    return {
+      seq: k, type, id,
+      point: p, eta: route.arrival[k], open: type === "site" ? p.e : null, close: type === "site" ? p.l : null,
+      service: yard ? 0 : p.service, fill: type === "site" ? p.mu : null, load: type === "end" ? null : load,
+    };
+  });
+}
+
+// Driver manifest of one route as CSV; lat / lon columns only when the instance has a geo frame
+export function manifestCsv(inst, route, geo=null) {
+  const header = ["vehicle", "seq", "type", "id", "x", "y", ...(geo ? ["lat", "lon"] : []), "eta_min", "eta", "window_open", "window_close", "service_min", "expected_fill_l", "expected_load_l"];
+  const rows = routeManifest(inst, route).map(s => {
+    const ll = geo && toLatLon(s.point, geo);
+    return [route.vehicle.id, s.seq, s.type, s.id, round(s.point.x, 1), round(s.point.y, 1), ...(ll ? [round(ll.lat, 6), round(ll.lon, 6)] : []),
+      round(s.eta, 1), clockOf(s.eta), s.open, s.close, round(s.service, 1), round(s.fill, 1), round(s.load, 1)];
+  });
+  return toCsv(header, rows);
+}
+
+// GeoJSON FeatureCollection of a solution: yards, disposal sites and sites as points (served
+// ones with vehicle, stop and ETA, skipped ones with the reason), and one straight-line
+// LineString per used route with its vehicle, load, risk and cost. `details` (from
+// simulateOverflowDetails) adds the simulated overflow rate per route.
+export function solutionGeoJSON(inst, solution, { geo=null, details=null } = {}) {
+  const frame = geo ?? DEFAULT_GEO;
+  const coord = p => { const { lat, lon } = toLatLon(p, frame); return [round(lon, 6), round(lat, 6)]; };
+  const point = (p, properties) => ({ type: "Feature", geometry: { type: "Point", coordinates: coord(p) }, properties });
+  const stopOf = new Map();
+  for (const r of solution.routes) routeManifest(inst, r).forEach(s => { if (s.type === "site") stopOf.set(s.id, { vehicle: r.vehicle.id, seq: s.seq, eta: round(s.eta, 1) }); });
+  const skipOf = new Map((solution.skips ?? []).map(x => [x.id, x]));
+  const features = [
+    ...inst.depots.map((d, k) => point(d, { kind: "depot", id: `D${k}` })),
+    ...inst.facilities.map((f, k) => point(f, { kind: "facility", id: `F${k}`, service: f.service })),
+    ...inst.sites.map(s => point(s, {
+      kind: "site", id: s.id, mu: round(s.mu), sigma: round(s.sigma), e: s.e, l: s.l, service: round(s.service),
+      ...(stopOf.has(s.id) ? { status: "served", ...stopOf.get(s.id) } : { status: "skipped", reason: skipOf.get(s.id)?.reason ?? null, penalty: round(skipOf.get(s.id)?.penalty) }),
+    })),
+  ];
+  solution.routes.forEach((r, ri) => {
+    if (!r.members.size) return;
+    const threshold = routeThreshold(inst, r);
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: routePoints(inst, r).map(coord) },
+      properties: {
+        kind: "route", vehicle: r.vehicle.id, capacity: r.vehicle.capacity, stops: r.nodes.slice(1, -1).map(idx => isDisposal(idx) ? `F${-idx - 1}` : idx),
+        km: round(routeKm(inst, r)), minutes: round(r.arrival[r.arrival.length-1] - r.vehicle.start, 1), costEur: round(routeCost(inst, r)),
+        expectedLoad: round(r.muSum, 1), threshold: round(threshold, 1), riskRatio: round(threshold / r.vehicle.capacity, 4),
+        trips: r.segments.length, bound: inst.boundType, eps: inst.eps,
+        ...(details?.[ri] && { overflow: details[ri].rate }),
+      },
+    });
+  });
+  return { type: "FeatureCollection", properties: { seed: inst.seed, km: round(solution.km), skipped: solution.skipped.length }, features };
+}
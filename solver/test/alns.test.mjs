@@ -0,0 +1,94 @@
+// ALNS engine checks; run with `node --test solver/test/`
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CORR_STRUCTURES, RNG_STREAMS, makeRng, randomLowRankFactors, structuredFactors, generateInstance, withTravel, planWeek, planDay,
+  runAlnsSearch, mcOverflowProb, simulateHistory, estimateFillModel, parseHistoryCsv,
+} from "../alns.mjs";
+import { bernsteinBound, requiredEps } from "../qroute.mjs";
+
+const columnNorms = L => L[0].map((_, k) => Math.sqrt(L.reduce((a, row) => a + row[k] ** 2, 0)));
+const params = { p: 60, r: 6, meanMin: 6, meanMax: 22, dMin: 1.2, dMax: 6.5, twWidth: 180, gridSize: 1000, seed: 11 };
+
+test("factor columns have the surge strength as their length", () => {
+  for (const scale of [0.4, 1, 2]) {
+    const L = randomLowRankFactors(50, 4, scale, makeRng(1, "test"));
+    for (const n of columnNorms(L)) assert.ok(Math.abs(n - scale) < 1e-6);
+  }
+});
+
+test("every correlation structure is scaled the same way and has its shape", () => {
+  for (const corr of CORR_STRUCTURES) {
+    const L = structuredFactors(60, 6, corr, 1.5, makeRng(2, corr));
+    for (const n of columnNorms(L)) assert.ok(Math.abs(n - 1.5) < 1e-6, `${corr}: ${n}`);
+    const nonzero = L.map(row => row.filter(v => v !== 0).length);
+    if (corr === "sparse") assert.ok(nonzero.every(n => n >= 1 && n <= 2));
+    if (corr === "block") assert.ok(L.every(row => row.filter(v => v > 0).length === 1 && row.every(v => v >= 0)));
+    if (corr === "mixed") assert.ok(L.every(row => row.slice(0, 3).filter(v => v > 0).length === 1));
+  }
+});
+
+test("surge changes the generated covariance, the seed fixes it", () => {
+  const load = inst => inst.L.reduce((a, row) => a + row.reduce((b, v) => b + v * v, 0), 0);
+  const weak = generateInstance({ ...params, surge: 0.5 }), strong = generateInstance({ ...params, surge: 2 });
+  assert.ok(Math.abs(load(weak) - 6 * 0.25) < 1e-6);
+  assert.ok(Math.abs(load(strong) - 6 * 4) < 1e-6);
+  assert.deepEqual(generateInstance({ ...params, surge: 2, corr: "block" }).L, generateInstance({ ...params, surge: 2, corr: "block" }).L);
+});
+
+test("requiredEps is the ε at which the Bernstein bound meets the capacity", () => {
+  for (const [mu, v, b, cap] of [[100, 400, 10, 180], [50, 0, 5, 60], [80, 900, 0, 200]]) {
+    const eps = requiredEps(mu, v, b, cap);
+    assert.ok(eps > 0 && eps < 1);
+    assert.ok(Math.abs(bernsteinBound(mu, v, eps, b) - cap) < 1e-6, `${[mu, v, b, cap]}: ${eps}`);
+  }
+  assert.equal(requiredEps(200, 10, 1, 150), 1);
+});
+
+test("the weekly plan keeps Σε within ϱ, or says it cannot", () => {
+  const inst = withTravel(generateInstance({ ...params, p: 30, r: 3, surge: 1.5 }));
+  const C = Math.ceil(inst.mu.reduce((a, v) => a + v, 0) / 2.4);
+  const base = { C, eps: 0.05, depot: inst.depot, skipPenalty: 35, overflowCost: 40, riskScaled: false };
+  const opts = { days: 3, budget: 0.2, trucks: 3, polishIters: 0, M: 200 };
+  const week = planWeek(inst, base, opts);
+  assert.ok(week.allocated <= opts.budget + 1e-12);
+  assert.ok(week.plans.every(pl => pl.routeEps.every(r => r.used <= r.allocated + 1e-9)));
+  assert.equal(week.met, week.mc.joint <= opts.budget);
+  // the mean-load gate ignores ε, so no budget scale brings its overflow down
+  const det = planWeek(inst, { ...base, gate: "det" }, { ...opts, budget: 0.01, minEps: 0.002 });
+  assert.equal(det.met, false);
+  assert.ok(det.mc.joint > 0.01 && det.plans.every(pl => pl.eps <= 0.002));
+});
+
+test("the same seed reproduces the ALNS search and its Monte Carlo", () => {
+  const run = () => {
+    const inst = withTravel(generateInstance({ ...params, p: 40, r: 4, surge: 1 }));
+    const cfg = { C: 250, eps: 0.05, depot: inst.depot, skipPenalty: 35, overflowCost: 40, riskScaled: false };
+    const res = runAlnsSearch(inst, planDay(inst, cfg, 3).sol, cfg, 30, makeRng(inst.seed, RNG_STREAMS.search));
+    const used = res.best.fleet.filter(c => c.seq.length).map(c => c.seq);
+    return { mu: inst.mu, seqs: used, cost: res.cost.total, mc: mcOverflowProb(inst, used, cfg.C, 200) };
+  };
+  assert.deepEqual(run(), run());
+});
+
+test("fill estimation recovers μ and the factor covariance LLᵀ from simulated history", () => {
+  const inst = generateInstance({ ...params, p: 20, r: 2, surge: 6, meanMin: 30, meanMax: 50, dMin: 1, dMax: 3, seed: 4 });
+  const model = estimateFillModel(simulateHistory(inst, 2000), { r: 2 });
+  inst.mu.forEach((m, i) => assert.ok(Math.abs(model.mu[i] - m) < 0.5, `μ${i}: ${model.mu[i]} vs ${m}`));
+  // L is identified up to a rotation, LLᵀ is not
+  const gram = L => L.map(a => L.map(b => a.reduce((s, v, k) => s + v * b[k], 0)));
+  const truth = gram(inst.L), fit = gram(model.L);
+  let err = 0, norm = 0;
+  truth.forEach((row, i) => row.forEach((v, j) => { err += (v - fit[i][j]) ** 2; norm += v * v; }));
+  assert.ok(Math.sqrt(err / norm) < 0.1, `relative error ${Math.sqrt(err / norm)}`);
+  assert.ok(model.lambda < 0.05 && model.r === 2 && model.days === 2000);
+});
+
+test("history CSV: header and date column are optional, NA cells are imputed, bad rows are reported", () => {
+  const { X, siteIds, errors } = parseHistoryCsv("date,a,b\nMon,3,4\nTue,NA,6\nWed,5,2\n");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(siteIds, ["a", "b"]);
+  assert.deepEqual(estimateFillModel(X, { r: 1 }).mu, [4, 4]);
+  assert.equal(estimateFillModel(X, { r: 1 }).imputed, 1);
+  assert.deepEqual(parseHistoryCsv("1,2\n3,x\n4,-1\n5\n").errors.map(e => e.line), [2, 3, 4]);
+});
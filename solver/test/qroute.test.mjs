@@ -0,0 +1,304 @@
+// Solver checks; run with `node --test solver/test/` (Node ≥ 18, no dependencies)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  genSites, genVehicles, makeFacility, makeInstance, makeRng, sampleScenario, solveInstance, solutionObjective, routeCost,
+  expectedOverflows, zQuantile, cantelliBound, empiricalQuantile, runningCi, simulateOverflowDetails, Route,
+  improveSolution, importInstanceFiles, parseTravelMatrix, parseSpeedProfile, profileFactor, matrixTravel, matrixPoints, SCALE_KM,
+  simulateRouteRun, comparePlanners, PLANNERS, routeCheck, moveStop, executeDay,
+  paretoFront, paretoSweep, parseNumberList, PARETO_KEYS,
+} from "../qroute.mjs";
+
+const defaultInstance = (extra={}) => makeInstance({ sites: genSites(40, true, 0), vehicles: genVehicles(3), ...extra });
+
+test("a default solve serves sites", () => {
+  const sol = solveInstance(defaultInstance(), undefined, { twoOpt: true });
+  assert.ok(sol.visitedSites > 0);
+  assert.ok(sol.routes.some(r=>r.members.size > 0));
+});
+
+test("the reported objective is the one the search minimises", () => {
+  const inst = defaultInstance({ facilities: [makeFacility()] });
+  const mask = inst.sites.map((s, i)=>i % 5 !== 0);
+  const sol = solveInstance(inst, mask);
+  const vehicles = sol.routes.reduce((a, r)=>a + routeCost(inst, r), 0);
+  assert.ok(Math.abs(sol.objective - solutionObjective(inst, sol.routes, sol.skipped, mask)) < 1e-9);
+  assert.ok(Math.abs(sol.objective - (vehicles + sol.penaltyCost + sol.riskCost)) < 1e-9);
+  assert.ok(sol.skips.some(x=>x.reason === "excluded"));
+});
+
+test("overflow risk is priced in the objective", () => {
+  const params = { facilities: [makeFacility()], boundType: "normal", eps: 0.2 };
+  const free = solveInstance(defaultInstance({ ...params, overflowCost: 0 }));
+  assert.equal(free.riskCost, 0);
+  const inst = defaultInstance({ ...params, overflowCost: 1000 });
+  const priced = solveInstance(inst);
+  assert.ok(Math.abs(priced.riskCost - 1000 * expectedOverflows(inst, priced.routes)) < 1e-6);
+  // a high overflow cost steers skip moves away from the riskiest loads
+  assert.ok(expectedOverflows(inst, priced.routes) < expectedOverflows(inst, free.routes));
+});
+
+test("multi-trip routes hold ε per load segment and k·ε per route", () => {
+  const eps = 0.05, trials = 4000;
+  const inst = makeInstance({ sites: genSites(60, true, 2), vehicles: genVehicles(3), facilities: [makeFacility()], seed: 2, eps, boundType: "normal", corrModel: "factor" });
+  const used = solveInstance(inst, undefined, { twoOpt: true }).routes.filter(r=>r.members.size);
+  assert.ok(used.some(r=>r.segments.length > 1));
+  const rng = makeRng(2, "test");
+  const segOver = used.map(r=>r.segments.map(()=>0)), routeOver = used.map(()=>0);
+  for (let t=0; t<trials; t++) {
+    const X = sampleScenario(inst, rng);
+    used.forEach((r, ri)=>{
+      const over = r.segments.map(seg=>[...seg.members].reduce((a, id)=>a + X.get(id), 0) > r.vehicle.capacity);
+      over.forEach((o, si)=>{ if (o) segOver[ri][si]++; });
+      if (over.some(Boolean)) routeOver[ri]++;
+    });
+  }
+  const slack = 3 * Math.sqrt(eps * (1 - eps) / trials);
+  used.forEach((r, ri)=>{
+    segOver[ri].forEach(c=>assert.ok(c / trials <= eps + slack, `segment rate ${c / trials}`));
+    assert.ok(routeOver[ri] / trials <= r.segments.length * eps + slack);
+  });
+});
+
+test("zQuantile matches tabulated normal quantiles", () => {
+  for (const [eps, z] of [[0.5, 0], [0.1, 1.281552], [0.05, 1.644854], [0.03, 1.880794], [0.025, 1.959964], [0.01, 2.326348], [0.001, 3.090232]])
+    assert.ok(Math.abs(zQuantile(eps) - z) < 1e-5, `ε=${eps}: ${zQuantile(eps)}`);
+  assert.ok(Math.abs(zQuantile(0.97) + 1.880794) < 1e-5);
+});
+
+test("cantelliBound solves Var / (Var + t²) = ε and dominates the normal quantile", () => {
+  assert.ok(Math.abs(cantelliBound(100, 16, 0.2) - 108) < 1e-9);
+  for (const eps of [0.01, 0.05, 0.2]) {
+    const t = cantelliBound(0, 9, eps);
+    assert.ok(Math.abs(9 / (9 + t * t) - eps) < 1e-12);
+    assert.ok(t > 3 * zQuantile(eps));
+  }
+  assert.equal(cantelliBound(50, 0, 0.05), 50);
+});
+
+test("empiricalQuantile is the ⌈q·n⌉-th order statistic and leaves its input alone", () => {
+  const rng = makeRng(9, "test");
+  for (const n of [1, 2, 7, 100, 1000]) {
+    const xs = Array.from({ length: n }, () => Math.round(rng() * 50)); // ties on purpose
+    const copy = xs.slice(), sorted = xs.slice().sort((a, b) => a - b);
+    for (const q of [0, 0.05, 0.5, 0.9, 0.95, 1])
+      assert.equal(empiricalQuantile(xs, q), sorted[Math.min(n - 1, Math.max(0, Math.ceil(q * n) - 1))], `n=${n} q=${q}`);
+    assert.deepEqual(xs, copy);
+  }
+  assert.equal(empiricalQuantile(Float64Array.of(3, 1, 2), 0.5), 2);
+  assert.equal(empiricalQuantile([], 0.5), 0);
+});
+
+test("runningCi is the Wilson score interval", () => {
+  const near = (x, y) => Math.abs(x - y) < 1e-4;
+  const half = runningCi(50, 100);
+  assert.ok(near(half.lo, 0.4038) && near(half.hi, 0.5962));
+  const none = runningCi(0, 100);
+  assert.equal(none.lo, 0);
+  assert.ok(near(none.hi, 0.0370)); // ≈ 3.84 / 103.84: open while nothing has been seen
+  const all = runningCi(100, 100);
+  assert.ok(near(all.lo, 1 - 0.0370) && near(all.hi, 1));
+  assert.ok(runningCi(50, 400).width < half.width);
+  assert.equal(runningCi(0, 0).width, Infinity);
+});
+
+test("simulated overflow: rates over used routes, P(any route) with early stopping", () => {
+  const inst = defaultInstance({ eps: 0.3, boundType: "normal" });
+  const sol = solveInstance(inst);
+  const out = simulateOverflowDetails(inst, sol.routes, 400);
+  const rates = out.details.filter(d => d.used).map(d => d.rate);
+  assert.ok(Math.abs(out.overall - rates.reduce((a, v) => a + v, 0) / rates.length) < 1e-12);
+  assert.ok(out.any >= Math.max(...rates) && out.any <= rates.reduce((a, v) => a + v, 0));
+  assert.ok(out.ci[0] <= out.any && out.any <= out.ci[1]);
+  // an idle vehicle changes neither rate
+  const spare = simulateOverflowDetails(inst, [...sol.routes, new Route(genVehicles(4)[3], 0)], 400);
+  assert.equal(spare.overall, out.overall);
+  assert.equal(spare.any, out.any);
+  const early = simulateOverflowDetails(inst, sol.routes, 5000, { ciWidth: 0.1 });
+  assert.ok(early.trials < 5000 && early.ci[1] - early.ci[0] <= 0.1);
+});
+
+test("the same seed reproduces the instance, the routes and the Monte Carlo", () => {
+  const run = seed => {
+    const inst = makeInstance({ sites: genSites(40, true, seed), vehicles: genVehicles(3), seed, corrModel: "factor" });
+    const sol = solveInstance(inst, undefined, { twoOpt: true });
+    const improved = improveSolution(inst, sol, undefined, { iters: 20 });
+    const mc = simulateOverflowDetails(inst, improved.routes, 300);
+    return { sites: inst.sites, nodes: improved.routes.map(r => r.nodes), objective: improved.objective,
+      mc: { overall: mc.overall, any: mc.any, finishes: mc.details.map(d => d.finishes) } };
+  };
+  const a = run(17);
+  assert.deepEqual(run(17), a);
+  const b = run(18);
+  assert.notDeepEqual(b.sites, a.sites);
+});
+
+test("instance import reports every bad row and loads nothing unless all rows pass", () => {
+  const bad = "type,id,x,y,mu,sigma,e,l,capacity\n" +
+    "site,1,100,100,80,20,0,480,\n" +
+    "site,2,200,150,60,,0,480,\n" +
+    "site,3,300,100,-4,10,300,200,\n" +
+    "vehicle,,,,,,,,500\n";
+  const out = importInstanceFiles([{ name: "sites.csv", text: bad }]);
+  assert.equal(out.sites, null);
+  assert.equal(out.vehicles, null);
+  assert.deepEqual(out.errors.map(e => [e.file, e.row]), [["sites.csv", 3], ["sites.csv", 4], ["sites.csv", 4]]);
+  assert.match(out.errors[0].message, /sigma/);
+  assert.ok(importInstanceFiles([{ name: "x.json", text: "{ nope" }]).errors[0].message.startsWith("invalid JSON"));
+
+  const good = importInstanceFiles([
+    { name: "sites.csv", text: "id,x,y,mu,variance\n4,100,100,80,400\n,200,150,60,100\n" },
+    { name: "fleet.json", text: JSON.stringify({ vehicles: [{ capacity: 400 }], depot: { x: 10, y: 20 } }) },
+  ]);
+  assert.deepEqual(good.errors, []);
+  assert.deepEqual(good.sites.map(s => [s.id, s.sigma]), [[4, 20], [5, 10]]);
+  assert.deepEqual([good.depots[0].x, good.depots[0].y, good.vehicles[0].capacity], [10, 20, 400]);
+});
+
+test("travel matrices: OSRM JSON and CSV are read, bad matrices rejected, gaps fall back to straight lines", () => {
+  const osrm = parseTravelMatrix("t.json", JSON.stringify({ ids: ["D0", "1", "2"], durations: [[0, 600, 900], [660, 0, 300], [960, 300, 0]], distances: [[0, 5000, 8000], [5200, 0, 2500], [8100, 2500, 0]] }));
+  assert.deepEqual(osrm.errors, []);
+  assert.deepEqual([osrm.matrix.km[1][0], osrm.matrix.minutes[0][1]], [5.2, 10]);
+
+  const csv = parseTravelMatrix("t.csv", "from,to,km,minutes\nD0,1,5,10\n1,D0,5.2,11\n1,2,2.5,\n");
+  assert.deepEqual(csv.errors, []);
+  assert.deepEqual(csv.matrix.ids, ["D0", "1", "2"]);
+  assert.equal(csv.matrix.minutes[1][2], null);
+
+  for (const [name, text, pattern] of [
+    ["bad.json", JSON.stringify({ km: [[0, 1], [1]] }), /square/],
+    ["bad.json", JSON.stringify({ km: [[0, -1], [1, 0]] }), /negative/],
+    ["bad.json", JSON.stringify({ km: [[0, 1], [1, 0]], ids: ["D0"] }), /one label per row/],
+    ["bad.csv", "from,to,km\nD0,1,abc\n", /km must be a number/],
+    ["bad.csv", "a,b\n1,2\n", /from and to/],
+  ]) {
+    const out = parseTravelMatrix(name, text);
+    assert.equal(out.matrix, null);
+    assert.match(out.errors[0].message, pattern);
+  }
+
+  const depot = { x: 0, y: 0 }, s1 = { id: 1, x: 100, y: 0 }, s2 = { id: 2, x: 100, y: 50 };
+  const inst = { depots: [depot], facilities: [], sites: [s1, s2], sitesByIdx: new Map([[1, s1], [2, s2]]) };
+  const travel = matrixTravel(csv.matrix, matrixPoints(csv.matrix, inst), 30);
+  assert.equal(travel.km(depot, s1), 5);
+  assert.equal(travel.minutes(s1, depot), 11);
+  assert.ok(Math.abs(travel.minutes(s1, s2) - 50 * SCALE_KM / 30 * 60) < 1e-9); // minutes left out: km at 30 km/h
+  assert.ok(Math.abs(travel.km(depot, s2) - Math.hypot(100, 50) * SCALE_KM) < 1e-9); // pair not in the matrix
+});
+
+test("speed profile: windows are [from, to) in minutes from shift start", () => {
+  const { profile, error } = parseSpeedProfile("0-90:1.5; 420-480:1.3");
+  assert.equal(error, null);
+  assert.deepEqual([0, 89.9, 90, 300, 420, 480, null].map(t => profileFactor(profile, t)), [1.5, 1.5, 1, 1, 1.3, 1, 1]);
+  assert.match(parseSpeedProfile("90-0:2").error, /cannot read/);
+  const depot = { x: 0, y: 0 }, s1 = { id: 1, x: 100, y: 0 };
+  const matrix = { ids: ["D0", "1"], km: null, minutes: [[0, 10], [10, 0]] };
+  const travel = matrixTravel(matrix, matrixPoints(matrix, { depots: [depot], facilities: [], sites: [s1], sitesByIdx: new Map([[1, s1]]) }), 30, profile);
+  assert.deepEqual([travel.minutes(depot, s1, 30), travel.minutes(depot, s1, 200)], [15, 10]);
+});
+
+test("route runs: fixed times follow the plan, random times spread it, an overflow drops the rest", () => {
+  const run = cv => {
+    const inst = makeInstance({ sites: genSites(40, true, 0), vehicles: genVehicles(2, 3000), travelCv: cv, serviceCv: cv });
+    return { inst, route: solveInstance(inst).routes.find(r => r.members.size > 3) };
+  };
+  const { inst, route } = run(0);
+  const empty = new Map(inst.sites.map(s => [s.id, 0]));
+  const planned = simulateRouteRun(inst, route, empty, makeRng(1, "test"));
+  assert.ok(Math.abs(planned.finish - route.arrival[route.arrival.length - 1]) < 1e-9);
+  assert.deepEqual([planned.late, planned.overtime, planned.overflowed, planned.dropped], [0, false, false, 0]);
+  const full = new Map(empty).set(route.nodes[2], 1e6); // second stop fills the truck
+  const spilled = simulateRouteRun(inst, route, full, makeRng(1, "test"));
+  assert.ok(spilled.overflowed && spilled.dropped === route.members.size - 2 && spilled.finish < planned.finish);
+
+  const noisy = run(0.5);
+  const finishesOf = seed => Array.from({ length: 200 }, (_, k) => simulateRouteRun(noisy.inst, noisy.route, empty, makeRng(seed, `test${k}`)).finish);
+  const finishes = finishesOf(3);
+  assert.deepEqual(finishesOf(3), finishes);
+  assert.notDeepEqual(finishesOf(4), finishes);
+  const mean = finishes.reduce((a, v) => a + v, 0) / finishes.length;
+  const sd = Math.sqrt(finishes.reduce((a, v) => a + (v - mean) ** 2, 0) / finishes.length);
+  assert.ok(sd > 5 && Math.abs(mean - noisy.route.arrival[noisy.route.arrival.length - 1]) < 3 * sd);
+  const det = simulateOverflowDetails(noisy.inst, [noisy.route], 300).details[0];
+  assert.ok(det.finishQ[0] <= det.finishQ[1] && det.finishQ[1] <= det.finishQ[2]);
+  assert.ok(det.lateRate >= 0 && det.lateRate <= 1 && det.lateStops >= det.lateRate);
+});
+
+test("planner comparison: each baseline holds its own rule, all are scored on the same weeks", () => {
+  const inst = makeInstance({ sites: genSites(40, true, 2), vehicles: genVehicles(4, 600), seed: 2, corrModel: "factor", factorShare: 0.6 });
+  const out = comparePlanners(inst, undefined, { trials: 200, days: 5 });
+  assert.deepEqual(out.map(o => o.planner), Object.keys(PLANNERS));
+  const by = Object.fromEntries(out.map(o => [o.planner, o]));
+  const segments = o => o.solution.routes.flatMap(r => r.segments.filter(seg => seg.members.size).map(seg => [seg.muSum, r.vehicle.capacity]));
+  assert.ok(segments(by.det).every(([mu, cap]) => mu <= cap + 1e-9));
+  assert.ok(segments(by.margin).every(([mu, cap]) => mu <= inst.marginFill * cap + 1e-9));
+  for (const o of out) assert.ok(o.perRoute <= o.worstRoute && o.worstRoute <= o.daily && o.daily <= o.weekly, o.planner);
+  // correlated fills: ignoring correlation overflows more often than the QRO gate, less than the mean alone
+  assert.ok(by.qro.daily <= by.indep.daily && by.indep.daily < by.det.daily);
+  assert.deepEqual(comparePlanners(inst, undefined, { trials: 200, days: 5 }).map(o => o.weekly), out.map(o => o.weekly));
+});
+
+test("manual edits: moved stops are re-checked, pinned sites stay on their truck", () => {
+  const sites = genSites(40, true, 0);
+  const inst = makeInstance({ sites, vehicles: genVehicles(3, 600) });
+  const sol = solveInstance(inst);
+  assert.ok(sol.routes.every(r => { const c = routeCheck(inst, r); return c.gateOk && c.timeOk && !c.late.length; }));
+
+  const sid = sol.routes[0].nodes[1];
+  const moved = moveStop(inst, sol, sid, { rIndex: 1, pos: 1 });
+  assert.ok(moved.manual);
+  assert.equal(moved.routes[1].nodes[1], sid);
+  assert.ok(!moved.routes[0].members.has(sid) && !moved.skipped.includes(sid));
+  const check = routeCheck(inst, moved.routes[1]);
+  assert.equal(check.gateOk, check.ratio <= 1 + 1e-9);
+  const off = moveStop(inst, sol, sid, null);
+  assert.ok(off.skipped.includes(sid) && off.routes.every(r => !r.members.has(sid)));
+
+  // 25 sites pinned to one truck: construction puts them there past its gate, the checks flag it
+  const crowded = makeInstance({ sites: sites.map((s, i) => i < 25 ? { ...s, pin: 2 } : s), vehicles: genVehicles(3, 600) });
+  const forced = solveInstance(crowded);
+  const truck = forced.routes.find(r => r.vehicle.id === 2);
+  assert.ok(sites.slice(0, 25).every(s => truck.members.has(s.id)));
+  assert.equal(routeCheck(crowded, truck).gateOk, false);
+  const improved = improveSolution(crowded, forced, undefined, { iters: 20 });
+  assert.ok(sites.slice(0, 25).every(s => improved.routes.find(r => r.vehicle.id === 2).members.has(s.id)));
+});
+
+test("day execution is reproducible and reacts to a sensor file", () => {
+  const inst = makeInstance({ sites: genSites(40, true, 1), vehicles: genVehicles(3, 600), seed: 1, corrModel: "factor" });
+  const sol = solveInstance(inst, undefined, { twoOpt: true });
+  const summary = ex => ({ times: ex.times, replans: ex.replans, timeline: ex.timeline, static: ex.static, adaptive: ex.adaptive,
+    plans: ex.snapshots.map(sn => sn.solution.routes.map(r => r.nodes)) });
+  const simulated = executeDay(inst, sol, { share: 0.5, every: 60 });
+  assert.equal(simulated.source, "simulated");
+  assert.deepEqual(summary(executeDay(inst, sol, { share: 0.5, every: 60 })), summary(simulated));
+  assert.deepEqual(simulated.timeline[0].static, simulated.timeline[0].adaptive);
+
+  // a bin found overflowing at 2:00 (last reading = truth); readings of unknown sites are ignored
+  const sid = sol.routes[0].nodes[1];
+  const file = [{ id: sid, t: 120, mu: 999, sigma: 0 }, { id: 9999, t: 60, mu: 1, sigma: 1 }];
+  const ex = executeDay(inst, sol, { readings: file, lastIsTruth: true });
+  assert.deepEqual([ex.source, ex.readings, ex.ignored, ex.times], ["file", 1, 1, [120]]);
+  assert.equal(ex.snapshots[1].fills.get(sid).mu, 999);
+  assert.ok(ex.replans === 1 && ex.adaptive.spill <= ex.static.spill);
+  assert.deepEqual(summary(executeDay(inst, sol, { readings: file, lastIsTruth: true })), summary(ex));
+});
+
+test("Pareto front: exactly the points no other point dominates", () => {
+  const pts = [
+    { km: 10, overflow: 0.2 }, { km: 12, overflow: 0.1 }, { km: 12, overflow: 0.2 }, // 2 is dominated by 0 and 1
+    { km: 10, overflow: 0.2 }, // a tie dominates neither copy
+    { km: 15, overflow: 0.1 }, // dominated by 1
+    { km: 20, overflow: 0 },
+  ];
+  assert.deepEqual(paretoFront(pts, ["km", "overflow"]), [0, 1, 3, 5]);
+  assert.deepEqual(paretoFront([], ["km"]), []);
+  assert.deepEqual(parseNumberList("0.1, 0.05 0.1;x 0.2"), [0.05, 0.1, 0.2]);
+
+  const params = { sites: genSites(30, true, 3), vehicles: genVehicles(3), seed: 3 };
+  const sweep = paretoSweep(params, undefined, { eps: [0.02, 0.2], boundTypes: ["bernstein", "normal"], fleetSizes: [2, 4], trials: 100 });
+  assert.equal(sweep.length, 8);
+  const dominated = (p, q) => PARETO_KEYS.every(k => q[k] <= p[k]) && PARETO_KEYS.some(k => q[k] < p[k]);
+  for (const p of sweep) assert.equal(p.front, !sweep.some(q => dominated(p, q)));
+  assert.ok(sweep.some(p => p.front));
+});
@@ -0,0 +1,68 @@
+// ==========================================================
+// Solver worker (module worker): runs the long jobs of index.html and the JSX prototype off
+// the UI thread.
+// Request  { id, task, ...args }   task ∈ TASKS
+// Replies  { id, type: "progress", progress } (at most every PROGRESS_MS), then
+//          { id, type: "done", result } or { id, type: "error", error }
+// A running job cannot be interrupted from inside; cancel it by terminating the worker.
+// ==========================================================
+import {
+  makeInstance, solveInstance, improveSolution, simulateOverflowDetails, compareBounds, paretoSweep,
+  planHorizon, executeDay, comparePlanners,
+} from "./qroute.mjs";
+import { RNG_STREAMS, makeRng, withTravel, runAlnsSearch, mcOverflowProb, planWeek } from "./alns.mjs";
+
+const PROGRESS_MS = 100;
+
+// Instances hold functions (the travel provider), so they do not cross postMessage: qroute
+// jobs send the makeInstance parameters, alns jobs the instance without `travel` plus the road
+// matrix and speed it was built from. For the same reason horizon days and execution snapshots come back
+// without their instance; the page rebuilds it from `ages` (accumulatedInstance) or `fills`
+// (observedInstance).
+const TASKS = {
+  solve: ({ params, visitMask, twoOpt }, onProgress) =>
+    solveInstance(makeInstance(params), visitMask, { twoOpt, onProgress }),
+  improve: ({ params, solution, visitMask, iters, budgetMs }, onProgress) =>
+    improveSolution(makeInstance(params), solution, visitMask, { iters, budgetMs, onProgress }),
+  simulate: ({ params, routes, trials, ciWidth }, onProgress) => {
+    const inst = makeInstance(params);
+    return { ...simulateOverflowDetails(inst, routes, trials, { ciWidth, onProgress }), bounds: compareBounds(inst, routes) };
+  },
+  pareto: ({ params, visitMask, eps, boundTypes, fleetSizes, trials }, onProgress) =>
+    paretoSweep(params, visitMask, { eps, boundTypes, fleetSizes, trials, onProgress }),
+  horizon: ({ params, days, twoOpt }, onProgress) => {
+    const plan = planHorizon(makeInstance(params), days, twoOpt, { onProgress });
+    return { ...plan, days: plan.days.map(({ inst, ...day }) => day) };
+  },
+  execute: ({ params, solution, readings, lastIsTruth, share, every, visitMask, twoOpt }, onProgress) => {
+    const ex = executeDay(makeInstance(params), solution, { readings, lastIsTruth, share, every, visitMask, twoOpt, onProgress });
+    return { ...ex, snapshots: ex.snapshots.map(({ inst, ...snap }) => snap) };
+  },
+  planners: ({ params, visitMask, twoOpt, trials, days }, onProgress) =>
+    comparePlanners(makeInstance(params), visitMask, { twoOpt, trials, days, onProgress }),
+  alns: ({ inst, road, speed, start, cfg, iters, budgetMs }, onProgress) =>
+    runAlnsSearch(withTravel(inst, road, speed), start, cfg, iters, makeRng(inst.seed, RNG_STREAMS.search), { budgetMs, onProgress }),
+  alnsMonteCarlo: ({ inst, road, speed, seqs, C, M, ciWidth }, onProgress) =>
+    mcOverflowProb(withTravel(inst, road, speed), seqs, C, M, { ciWidth, onProgress }),
+  week: ({ inst, road, speed, cfg, days, budget, trucks, M }, onProgress) =>
+    planWeek(withTravel(inst, road, speed), cfg, { days, budget, trucks, M, onProgress }),
+};
+
+self.onmessage = ({ data: { id, task, ...args } }) => {
+  let last = 0, held = null; // the newest progress not yet sent, flushed before "done"
+  const onProgress = progress => {
+    const now = Date.now();
+    held = progress;
+    if (now - last < PROGRESS_MS) return;
+    last = now; held = null;
+    self.postMessage({ id, type: "progress", progress });
+  };
+  try {
+    if (!TASKS[task]) throw new Error(`unknown task "${task}"`);
+    const result = TASKS[task](args, onProgress);
+    if (held) self.postMessage({ id, type: "progress", progress: held });
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", error: err.message });
+  }
+};